@@ -5,16 +5,34 @@
 
 import Config from './config.js';
 import ApiService from './services/APIService.js';
-import OpportunitiesController from './controllers/OpportunitiesController.js';
-import SalesOrdersController from './controllers/SalesOrdersController.js';
-import HelpdeskController from './controllers/HelpdeskController.js';
-import AdminController from './controllers/AdminController.js';
+import SessionService from './services/SessionService.js';
+import PermissionService from './services/PermissionService.js';
+import FeatureFlagService from './services/FeatureFlagService.js';
+import CustomerService from './services/CustomerService.js';
+import PdfService from './services/PdfService.js';
+import CustomerDrawerView from './views/CustomerDrawerView.js';
+import ExportJobsView from './views/ExportJobsView.js';
+import SafeHTML from './views/SafeHTML.js';
+import DashboardRegistry from './dashboards.js';
+
+const { html } = SafeHTML;
 
 class CRMApplication {
     constructor() {
         this.currentController = null;
+        this.loadCounter = 0;
         this.apiService = null;
+        this.session = null;
+        this.permissions = null;
+        this.featureFlags = null;
+        this.customerService = null;
+        this.customerDrawer = new CustomerDrawerView();
+        this.customerRequestId = 0;
+        this.pdfService = null;
+        this.exportJobsView = new ExportJobsView();
+        this.pdfJobs = new Map(); // Running PDF job id -> AbortController
         this.isInitialized = false;
+        this.listenersBound = false;
         this.currentDashboard = 'opportunities';
         
         // Bind methods to maintain context
@@ -25,6 +43,21 @@ class CRMApplication {
         this.hideError = this.hideError.bind(this);
         this.openEmailModal = this.openEmailModal.bind(this);
         this.handleEmailSubmit = this.handleEmailSubmit.bind(this);
+        this.handleExportSubmit = this.handleExportSubmit.bind(this);
+        this.handleAuthRequired = this.handleAuthRequired.bind(this);
+        this.handleTokenChanged = this.handleTokenChanged.bind(this);
+        this.handleLoginSubmit = this.handleLoginSubmit.bind(this);
+        this.handleLogout = this.handleLogout.bind(this);
+        this.handleIdleTimeout = this.handleIdleTimeout.bind(this);
+        this.handleRouteChange = this.handleRouteChange.bind(this);
+        this.updateRoute = this.updateRoute.bind(this);
+        this.openCustomerDrawer = this.openCustomerDrawer.bind(this);
+        this.closeCustomerDrawer = this.closeCustomerDrawer.bind(this);
+        this.trackPdfJob = this.trackPdfJob.bind(this);
+        this.cancelPdfJob = this.cancelPdfJob.bind(this);
+        this.openRecentExports = this.openRecentExports.bind(this);
+        this.closeRecentExports = this.closeRecentExports.bind(this);
+        this.downloadRecentExport = this.downloadRecentExport.bind(this);
     }
 
     /**
@@ -34,17 +67,25 @@ class CRMApplication {
         try {
             this.showLoading();
             
-            // Initialize API service
-            this.apiService = new ApiService(Config.API.baseURL);
+            // Initialize API and session services
+            this.apiService = this.apiService || new ApiService(Config.API.baseURL);
+            this.session = this.session || new SessionService(this.apiService);
+            this.permissions = this.permissions || new PermissionService(this.apiService);
+            this.featureFlags = this.featureFlags || new FeatureFlagService(this.apiService);
+            this.customerService = this.customerService || new CustomerService(this.apiService);
+            this.pdfService = this.pdfService || new PdfService(this.apiService);
             
             // Set up event listeners
             this.setupEventListeners();
-            
-            // Load default dashboard (Opportunities)
-            await this.loadDashboard('opportunities');
-            
-            this.hideLoading();
-            this.isInitialized = true;
+
+            // Ask for credentials before loading any data
+            if (!this.apiService.isAuthenticated()) {
+                this.hideLoading();
+                this.openLoginModal();
+                return;
+            }
+
+            await this.startSession();
             
             console.log('CRM Application initialized successfully');
             
@@ -54,26 +95,392 @@ class CRMApplication {
         }
     }
 
+    /**
+     * Start an authenticated session, restoring the last view if the token was lost
+     */
+    async startSession(loginResponse = null) {
+        await Promise.all([
+            this.permissions.load(loginResponse),
+            this.featureFlags.load()
+        ]);
+        this.renderNav();
+
+        // A deep link wins over the view saved when the session was lost
+        const snapshot = this.session.consumeSnapshot();
+        const route = this.parseRoute();
+        const initialState = route && this.getInitialDashboard(route.dashboard) === route.dashboard
+            ? route
+            : snapshot;
+        const dashboardType = this.getInitialDashboard(initialState?.dashboard);
+        if (!dashboardType) {
+            this.hideLoading();
+            this.showError('Your account does not have access to any dashboard.');
+            return;
+        }
+
+        const viewState = initialState?.dashboard === dashboardType ? initialState : {};
+
+        this.updateUserMenu();
+        this.updateActiveNav(dashboardType);
+        await this.loadDashboard(dashboardType, viewState);
+        this.updateRoute({ replace: true });
+
+        this.hideLoading();
+        this.isInitialized = true;
+        this.session.startIdleTimer(this.handleIdleTimeout);
+    }
+
+    /**
+     * Pick the first available dashboard, preferring the requested one
+     */
+    getInitialDashboard(preferred) {
+        const available = this.getAvailableDashboards().map(entry => entry.id);
+        return available.includes(preferred) ? preferred : (available[0] || null);
+    }
+
+    /**
+     * Registered dashboards the user may view and whose feature flags are enabled
+     */
+    getAvailableDashboards() {
+        return DashboardRegistry.list().filter(entry => {
+            if (!this.permissions?.can(entry.permission)) return false;
+            return entry.features.every(flag => !this.featureFlags || this.featureFlags.isEnabled(flag, entry.configKey));
+        });
+    }
+
+    /**
+     * Build the nav bar from the dashboard registry
+     */
+    renderNav() {
+        const nav = document.querySelector('.nav-container');
+        nav.innerHTML = html`${this.getAvailableDashboards().map(entry => html`
+            <button class="nav-btn${entry.id === this.currentDashboard ? ' active' : ''}" data-dashboard="${entry.id}">
+                ${entry.icon} ${entry.label}
+            </button>
+        `)}`;
+    }
+
+    /**
+     * Check whether a global action is available on the current dashboard
+     * @returns {{enabled: boolean, reason: string}}
+     */
+    getActionAvailability(action) {
+        const flags = {
+            export: ['pdfExport'],
+            dataExport: ['dataExport'],
+            email: ['emailReports']
+        };
+        // Table export needs the same permission as PDF export
+        const permission = action === 'dataExport' ? 'export' : action;
+
+        if (!this.permissions?.canDashboard(this.currentDashboard, permission)) {
+            return { enabled: false, reason: `You do not have permission to ${permission} this dashboard` };
+        }
+        if (this.featureFlags && flags[action]) {
+            return this.featureFlags.check(flags[action], this.currentDashboard);
+        }
+        return { enabled: true, reason: '' };
+    }
+
+    /**
+     * Enable Export PDF, Export Data and Email Report according to permissions and feature flags
+     */
+    updateActionButtons() {
+        const actions = [
+            { id: 'exportPdf', action: 'export', title: 'Export to PDF' },
+            { id: 'exportData', action: 'dataExport', title: 'Export table data (CSV or Excel)' },
+            { id: 'emailReport', action: 'email', title: 'Email report' }
+        ];
+        actions.forEach(({ id, action, title }) => {
+            const btn = document.getElementById(id);
+            const { enabled, reason } = this.getActionAvailability(action);
+            btn.disabled = !enabled;
+            btn.title = enabled ? title : reason;
+        });
+    }
+
+    /**
+     * Tear down the current dashboard when the session ends
+     */
+    async endSession() {
+        this.session.stopIdleTimer();
+        this.closeCustomerDrawer();
+        this.closeRecentExports();
+        this.apiService.cancelAllRequests({ includePersistent: true });
+
+        // Stop following running PDF jobs; their files belong to the old session
+        this.pdfJobs.forEach(controller => controller.abort());
+
+        if (this.currentController) {
+            await this.currentController.destroy();
+            this.currentController = null;
+        }
+
+        this.isInitialized = false;
+        document.getElementById('dashboardContainer').innerHTML = '';
+    }
+
+    /**
+     * Capture the current dashboard and filters
+     */
+    getSessionSnapshot() {
+        return {
+            dashboard: this.currentDashboard,
+            ...(this.currentController ? this.currentController.getViewState() : {})
+        };
+    }
+
+    // ===== ROUTING =====
+
+    /**
+     * Parse a hash such as `#/opportunities?status=closed_won&sort=amount:desc&record=OP%20662800`
+     * @returns {{dashboard: string, filters: Object, sort: Object|null, record: string|null}|null}
+     */
+    parseRoute(hash = window.location.hash) {
+        const match = /^#\/([\w-]+)(?:\?(.*))?$/.exec(hash || '');
+        if (!match) return null;
+
+        const params = new URLSearchParams(match[2] || '');
+        const route = { dashboard: match[1], filters: {}, sort: null, record: null };
+
+        params.forEach((value, key) => {
+            if (key === 'sort') {
+                const [sortKey, direction] = value.split(':');
+                route.sort = { key: sortKey, direction: direction === 'desc' ? 'descending' : 'ascending' };
+            } else if (key === 'record') {
+                route.record = value;
+            } else {
+                route.filters[key] = value;
+            }
+        });
+
+        return route;
+    }
+
+    /**
+     * Build the hash for a dashboard; filters equal to the defaults are left out
+     */
+    buildRoute(dashboardType, { filters = {}, sort = null, record = null } = {}, defaults = {}) {
+        const params = new URLSearchParams();
+
+        Object.keys(filters || {}).sort().forEach(key => {
+            const value = filters[key];
+            if (value !== null && value !== undefined && String(value) !== String(defaults[key] ?? '')) {
+                params.set(key, value);
+            }
+        });
+        if (sort?.key) {
+            params.set('sort', `${sort.key}:${sort.direction === 'descending' ? 'desc' : 'asc'}`);
+        }
+        if (record) {
+            params.set('record', record);
+        }
+
+        const query = params.toString();
+        return `#/${dashboardType}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Write the current dashboard and view state to the URL hash
+     */
+    updateRoute({ replace = false } = {}) {
+        if (!this.currentController) return;
+
+        const hash = this.buildRoute(
+            this.currentDashboard,
+            this.currentController.getViewState(),
+            this.currentController.defaultFilters
+        );
+        if (hash === window.location.hash) return;
+
+        // pushState/replaceState do not fire hashchange, so no loop back into handleRouteChange
+        window.history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+    }
+
+    /**
+     * Restore the view from the hash (back/forward, pasted links)
+     */
+    async handleRouteChange() {
+        if (!this.isInitialized) return;
+
+        const route = this.parseRoute();
+        if (!route) return;
+
+        if (route.dashboard !== this.currentDashboard) {
+            await this.handleNavigation(route.dashboard, route, { fromRoute: true });
+        } else if (this.currentController) {
+            await this.currentController.applyViewState(route);
+        }
+    }
+
     /**
      * Set up global event listeners
      */
     setupEventListeners() {
-        // Dashboard navigation
-        document.querySelectorAll('.nav-btn').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const dashboardType = e.target.dataset.dashboard;
-                this.handleNavigation(dashboardType);
-            });
+        // Retry re-runs init(); bind listeners only once
+        if (this.listenersBound) return;
+        this.listenersBound = true;
+
+        // Dashboard navigation (buttons are rebuilt per session, so delegate)
+        document.querySelector('.nav-container').addEventListener('click', (e) => {
+            const button = e.target.closest('.nav-btn');
+            if (button) {
+                this.handleNavigation(button.dataset.dashboard);
+            }
         });
 
         // Global actions
         document.getElementById('refreshData').addEventListener('click', this.handleGlobalActions);
         document.getElementById('exportPdf').addEventListener('click', this.handleGlobalActions);
+        document.getElementById('exportData').addEventListener('click', this.handleGlobalActions);
         document.getElementById('emailReport').addEventListener('click', this.handleGlobalActions);
+        document.getElementById('recentExports').addEventListener('click', this.openRecentExports);
         document.getElementById('retryButton').addEventListener('click', this.init);
+        document.getElementById('logoutButton').addEventListener('click', this.handleLogout);
+
+        // Auth events from ApiService
+        window.addEventListener('auth-required', this.handleAuthRequired);
+        window.addEventListener('auth-token-changed', this.handleTokenChanged);
+
+        // Back/forward and pasted links
+        window.addEventListener('hashchange', this.handleRouteChange);
 
         // Modal handlers
         this.setupModalHandlers();
+        this.setupExportModal();
+        this.setupCustomerDrawer();
+        this.setupRecentExports();
+        document.getElementById('loginForm').addEventListener('submit', this.handleLoginSubmit);
+    }
+
+    /**
+     * Handle lost session (token refresh failed)
+     */
+    async handleAuthRequired(e) {
+        if (this.isInitialized) {
+            this.session.saveSnapshot(this.getSessionSnapshot());
+            await this.endSession();
+        }
+        this.openLoginModal(e.detail?.message || 'Your session has expired. Please sign in again.');
+    }
+
+    /**
+     * Keep the user menu in sync with the token
+     */
+    handleTokenChanged() {
+        this.updateUserMenu();
+    }
+
+    /**
+     * Log out after the configured idle period, keeping the current view for re-login
+     */
+    async handleIdleTimeout() {
+        if (this.isInitialized) {
+            this.session.saveSnapshot(this.getSessionSnapshot());
+            await this.endSession();
+        }
+        await this.apiService.logout();
+        this.openLoginModal('You were signed out due to inactivity.');
+    }
+
+    /**
+     * Handle explicit logout from the user menu
+     */
+    async handleLogout() {
+        this.session.clearSnapshot();
+        await this.endSession();
+        await this.apiService.logout();
+        this.session.clearUser();
+        this.permissions.clear();
+        this.featureFlags.clear();
+        this.updateUserMenu();
+        this.openLoginModal('You have been signed out.');
+    }
+
+    /**
+     * Open login modal with an optional message
+     */
+    openLoginModal(message = '') {
+        const modal = document.getElementById('loginModal');
+        const messageEl = document.getElementById('loginMessage');
+        const errorEl = document.getElementById('loginError');
+
+        messageEl.textContent = message;
+        messageEl.classList.toggle('hidden', !message);
+        errorEl.textContent = '';
+        errorEl.classList.add('hidden');
+
+        const usernameInput = document.getElementById('loginUsername');
+        const lastUser = this.session?.getUser();
+        if (lastUser?.email && !usernameInput.value) {
+            usernameInput.value = lastUser.email;
+        }
+
+        modal.classList.remove('hidden');
+        usernameInput.focus();
+    }
+
+    /**
+     * Handle login form submission
+     */
+    async handleLoginSubmit(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const formData = new FormData(form);
+        const credentials = {
+            username: formData.get('loginUsername'),
+            password: formData.get('loginPassword')
+        };
+        const submitBtn = document.querySelector('button[form="loginForm"]');
+        const errorEl = document.getElementById('loginError');
+        let response;
+
+        try {
+            submitBtn.disabled = true;
+            response = await this.apiService.login(credentials);
+            if (!response || !response.token) {
+                throw new Error('Invalid credentials');
+            }
+
+            this.session.setUser(response.user || { name: credentials.username });
+            form.querySelector('#loginPassword').value = '';
+        } catch (error) {
+            console.error('Login failed:', error);
+            errorEl.textContent = error.type === 'AUTH_ERROR'
+                ? 'Invalid username or password'
+                : 'Sign in failed. Please try again.';
+            errorEl.classList.remove('hidden');
+            submitBtn.disabled = false;
+            return;
+        }
+
+        // Signed in; loading the dashboards is reported on the page, not in the modal
+        document.getElementById('loginModal').classList.add('hidden');
+        try {
+            this.showLoading();
+            await this.startSession(response);
+            this.showNotification(`Signed in as ${this.session.getUser()?.name || credentials.username}`, 'success');
+        } catch (error) {
+            console.error('Failed to start session:', error);
+            // The Retry button re-runs init(), which resumes the signed-in session
+            this.showError('Failed to load your dashboards. Please try again.');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show or hide the signed-in user menu
+     */
+    updateUserMenu() {
+        const menu = document.getElementById('userMenu');
+        const nameEl = document.getElementById('userName');
+        const signedIn = !!this.apiService?.isAuthenticated();
+        const user = this.session?.getUser();
+
+        nameEl.textContent = user?.name || user?.email || '';
+        menu.classList.toggle('hidden', !signedIn);
     }
 
     /**
@@ -101,18 +508,258 @@ class CRMApplication {
         document.getElementById('emailForm').addEventListener('submit', this.handleEmailSubmit);
     }
 
+    /**
+     * Data export dialog: close buttons, outside click and submit
+     */
+    setupExportModal() {
+        const modal = document.getElementById('exportModal');
+        const close = () => modal.classList.add('hidden');
+
+        modal.querySelector('.modal-close').addEventListener('click', close);
+        document.getElementById('cancelExport').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+
+        document.getElementById('exportForm').addEventListener('submit', this.handleExportSubmit);
+    }
+
+    /**
+     * Open the export dialog with the current dashboard's table columns
+     */
+    openExportModal() {
+        const options = this.currentController?.getExportOptions?.();
+        if (!options?.columns.length) {
+            this.showNotification('This dashboard has no table to export', 'info');
+            return;
+        }
+
+        document.getElementById('exportColumns').innerHTML = html`${options.columns.map(column => html`
+            <label class="checkbox-option">
+                <input type="checkbox" name="columns" value="${column.key}" ${column.selected ? 'checked' : ''}>
+                ${column.label}
+            </label>
+        `)}`;
+        document.getElementById('exportLineItemsGroup').classList.toggle('hidden', !options.hasLineItems);
+        document.getElementById('exportLineItems').checked = false;
+
+        document.getElementById('exportModal').classList.remove('hidden');
+    }
+
+    /**
+     * Handle export form submission
+     */
+    handleExportSubmit(e) {
+        e.preventDefault();
+
+        const formData = new FormData(e.target);
+        const columns = formData.getAll('columns');
+        if (!columns.length) {
+            this.showNotification('Choose at least one column to export', 'warning');
+            return;
+        }
+
+        document.getElementById('exportModal').classList.add('hidden');
+        this.currentController?.exportData({
+            format: formData.get('format'),
+            columns,
+            includeLineItems: formData.has('includeLineItems')
+        });
+    }
+
+    /**
+     * Customer 360 drawer: customer links in any dashboard table open it
+     */
+    setupCustomerDrawer() {
+        const drawer = document.getElementById('customerDrawer');
+
+        document.getElementById('dashboardContainer').addEventListener('click', (e) => {
+            const link = e.target.closest('.customer-link');
+            if (link) {
+                this.openCustomerDrawer(link.dataset.customerId);
+            }
+        });
+
+        drawer.querySelector('.drawer-close').addEventListener('click', this.closeCustomerDrawer);
+        drawer.addEventListener('click', (e) => {
+            if (e.target === drawer) {
+                this.closeCustomerDrawer();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !drawer.classList.contains('hidden')) {
+                this.closeCustomerDrawer();
+            }
+        });
+    }
+
+    /**
+     * Open the drawer and load one customer's opportunities, orders and tickets
+     */
+    async openCustomerDrawer(customerId) {
+        if (!customerId || !this.customerService) return;
+
+        const drawer = document.getElementById('customerDrawer');
+        drawer.classList.remove('hidden');
+        drawer.querySelector('.drawer-close').focus();
+        this.customerDrawer.showLoading();
+
+        // Ignore responses for a customer the user already clicked away from
+        const requestId = ++this.customerRequestId;
+        try {
+            const profile = await this.customerService.getCustomer(customerId);
+            if (requestId !== this.customerRequestId) return;
+
+            if (profile) {
+                this.customerDrawer.render(profile);
+            } else {
+                this.customerDrawer.showNotFound(customerId);
+            }
+        } catch (error) {
+            if (error.type === 'CANCELLED' || requestId !== this.customerRequestId) return;
+            console.error('Failed to load customer:', error);
+            this.customerDrawer.showError('Failed to load customer details');
+        }
+    }
+
+    /**
+     * Close the customer drawer
+     */
+    closeCustomerDrawer() {
+        this.customerRequestId++;
+        document.getElementById('customerDrawer')?.classList.add('hidden');
+    }
+
+    // ===== PDF EXPORT JOBS =====
+
+    /**
+     * Recent Exports drawer and the Cancel buttons of running jobs
+     */
+    setupRecentExports() {
+        const drawer = document.getElementById('recentExportsDrawer');
+
+        this.exportJobsView.onDownload = this.downloadRecentExport;
+        this.exportJobsView.onCancel = this.cancelPdfJob;
+
+        drawer.querySelector('.drawer-close').addEventListener('click', this.closeRecentExports);
+        drawer.addEventListener('click', (e) => {
+            if (e.target === drawer) {
+                this.closeRecentExports();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !drawer.classList.contains('hidden')) {
+                this.closeRecentExports();
+            }
+        });
+    }
+
+    /**
+     * Follow a submitted PDF job with a progress notification, then download it.
+     * Jobs outlive dashboard navigation; rejects with a CANCELLED error when the
+     * user cancels.
+     * @param {Object} job - generate response: { id, status, progress, message }
+     * @param {Object} details - title and dashboardType for the Recent Exports list;
+     *   download: false only waits for the file (e.g. an email attachment)
+     */
+    async trackPdfJob(job, { title, dashboardType, download = true }) {
+        const controller = new AbortController();
+        this.pdfJobs.set(job.id, controller);
+        this.exportJobsView.showJob(job, title);
+
+        try {
+            if (!this.pdfService.isComplete(job)) {
+                await this.pdfService.waitForJob(job.id, {
+                    signal: controller.signal,
+                    onProgress: (status) => this.exportJobsView.updateJob(status)
+                });
+            }
+            if (!download) return;
+
+            await this.apiService.downloadPDF(job.id);
+            this.pdfService.addRecentExport({ id: job.id, title, dashboardType });
+            if (!document.getElementById('recentExportsDrawer').classList.contains('hidden')) {
+                this.exportJobsView.render(this.pdfService.getRecentExports());
+            }
+        } finally {
+            this.pdfJobs.delete(job.id);
+            this.exportJobsView.removeJob(job.id);
+        }
+    }
+
+    /**
+     * Stop following a job and ask the server to drop it
+     */
+    async cancelPdfJob(jobId) {
+        const controller = this.pdfJobs.get(jobId);
+        if (!controller) return;
+
+        controller.abort();
+        this.showNotification('PDF export cancelled', 'info');
+
+        try {
+            await this.pdfService.cancelJob(jobId);
+        } catch (error) {
+            console.warn('Failed to cancel PDF job on the server:', error);
+        }
+    }
+
+    /**
+     * Open the Recent Exports drawer
+     */
+    openRecentExports() {
+        if (!this.pdfService) return;
+
+        const drawer = document.getElementById('recentExportsDrawer');
+        drawer.classList.remove('hidden');
+        drawer.querySelector('.drawer-close').focus();
+        this.exportJobsView.render(this.pdfService.getRecentExports());
+    }
+
+    /**
+     * Close the Recent Exports drawer
+     */
+    closeRecentExports() {
+        document.getElementById('recentExportsDrawer')?.classList.add('hidden');
+    }
+
+    /**
+     * Download a completed export again
+     */
+    async downloadRecentExport(exportId) {
+        try {
+            await this.apiService.downloadPDF(exportId);
+        } catch (error) {
+            if (error.type === 'CANCELLED') return;
+            console.error('Failed to download export:', error);
+            this.showNotification('Failed to download export. It may have expired.', 'error');
+        }
+    }
+
     /**
      * Handle dashboard navigation
      */
-    async handleNavigation(dashboardType) {
+    async handleNavigation(dashboardType, viewState = {}, { fromRoute = false } = {}) {
         if (!this.isInitialized) return;
 
+        // Unknown or forbidden dashboards resolve to a different one
+        if (this.getInitialDashboard(dashboardType) !== dashboardType) {
+            this.showNotification('You do not have access to this dashboard', 'warning');
+            this.updateRoute({ replace: true });
+            return;
+        }
+
         try {
             // Update active navigation
             this.updateActiveNav(dashboardType);
             
             // Load the selected dashboard
-            await this.loadDashboard(dashboardType);
+            await this.loadDashboard(dashboardType, viewState);
+
+            // Record the navigation (routes that triggered it are already in history)
+            this.updateRoute({ replace: fromRoute });
             
         } catch (error) {
             console.error(`Failed to load ${dashboardType} dashboard:`, error);
@@ -128,37 +775,47 @@ class CRMApplication {
         document.querySelectorAll('.nav-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.dashboard === activeDashboard);
         });
+        this.updateActionButtons();
     }
 
     /**
      * Load and initialize a dashboard
      */
-    async loadDashboard(dashboardType) {
+    async loadDashboard(dashboardType, options = {}) {
+        // Abort in-flight requests from the previous dashboard
+        this.apiService.cancelAllRequests();
+        this.closeCustomerDrawer();
+
         // Clean up current controller
         if (this.currentController) {
             await this.currentController.destroy();
         }
 
+        this.currentController = null;
         this.showLoading();
 
+        const loadId = ++this.loadCounter;
+
         try {
-            // Initialize the appropriate controller based on dashboard type
-            switch (dashboardType) {
-                case 'opportunities':
-                    this.currentController = new OpportunitiesController(this.apiService);
-                    break;
-                case 'sales-orders':
-                    this.currentController = new SalesOrdersController(this.apiService);
-                    break;
-                case 'helpdesk':
-                    this.currentController = new HelpdeskController(this.apiService);
-                    break;
-                case 'admin':
-                    this.currentController = new AdminController(this.apiService);
-                    break;
-                default:
-                    throw new Error(`Unknown dashboard type: ${dashboardType}`);
+            // Load the dashboard's controller on demand
+            const ControllerClass = await DashboardRegistry.loadController(dashboardType);
+
+            // A newer navigation started while the module was loading
+            if (loadId !== this.loadCounter) return;
+
+            this.currentController = new ControllerClass(this.apiService);
+
+            // Share the signed-in user's permissions and feature flags with the controller
+            this.currentController.permissions = this.permissions;
+            this.currentController.features = this.featureFlags;
+
+            // Restore saved filters, sort and selection before the first fetch
+            if (options.filters && typeof this.currentController.model.setFilters === 'function') {
+                this.currentController.model.setFilters(options.filters);
             }
+            this.currentController.view.sortState = options.sort || null;
+            this.currentController.view.selectedRecordId = options.record || null;
+            this.currentController.onStateChange = () => this.updateRoute();
 
             // Initialize the dashboard
             await this.currentController.init();
@@ -171,64 +828,45 @@ class CRMApplication {
         }
     }
 
-    /**
-     * Show helpdesk placeholder
-     */
-    showHelpdeskPlaceholder() {
-        const container = document.getElementById('dashboardContainer');
-        container.innerHTML = `
-            <div class="dashboard-helpdesk">
-                <div class="coming-soon">
-                    <div class="coming-soon-icon">🎫</div>
-                    <h2>Helpdesk Dashboard Coming Soon</h2>
-                    <p>We're building a comprehensive helpdesk analytics dashboard to track support tickets and customer service metrics.</p>
-                    <div class="features-list">
-                        <div class="feature-item">
-                            <span class="feature-icon">📞</span>
-                            <span>Ticket volume tracking</span>
-                        </div>
-                        <div class="feature-item">
-                            <span class="feature-icon">⏱️</span>
-                            <span>Response time analytics</span>
-                        </div>
-                        <div class="feature-item">
-                            <span class="feature-icon">✅</span>
-                            <span>Resolution rate monitoring</span>
-                        </div>
-                        <div class="feature-item">
-                            <span class="feature-icon">😊</span>
-                            <span>Customer satisfaction scores</span>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
-    }
-
     /**
      * Handle global actions (refresh, export, email)
      */
     handleGlobalActions(e) {
-        if (!this.currentController && this.currentDashboard !== 'helpdesk') return;
+        if (!this.currentController) return;
 
         const action = e.target.id;
 
         switch (action) {
             case 'refreshData':
-                if (this.currentController) {
-                    this.currentController.refreshData();
-                }
+                this.currentController.refreshData();
                 break;
-            case 'exportPdf':
-                if (this.currentController) {
+            case 'exportPdf': {
+                const { enabled, reason } = this.getActionAvailability('export');
+                if (!enabled) {
+                    this.showNotification(reason, 'warning');
+                } else {
                     this.currentController.exportToPDF();
+                }
+                break;
+            }
+            case 'exportData': {
+                const { enabled, reason } = this.getActionAvailability('dataExport');
+                if (!enabled) {
+                    this.showNotification(reason, 'warning');
                 } else {
-                    this.showNotification('PDF export not available for this dashboard', 'info');
+                    this.openExportModal();
                 }
                 break;
-            case 'emailReport':
-                this.openEmailModal();
+            }
+            case 'emailReport': {
+                const { enabled, reason } = this.getActionAvailability('email');
+                if (!enabled) {
+                    this.showNotification(reason, 'warning');
+                } else {
+                    this.openEmailModal();
+                }
                 break;
+            }
         }
     }
 
@@ -249,6 +887,14 @@ class CRMApplication {
         if (storedEmail) {
             recipientInput.value = storedEmail;
         }
+
+        // CSV needs a dashboard table; fall back to the PDF report without one
+        const csvOption = document.getElementById('emailAttachmentCsv');
+        const hasTable = Boolean(this.currentController?.getExportOptions?.().columns.length);
+        csvOption.disabled = !hasTable;
+        if (!hasTable && csvOption.checked) {
+            modal.querySelector('input[name="emailAttachment"][value="pdf"]').checked = true;
+        }
         
         modal.classList.remove('hidden');
     }
@@ -257,12 +903,7 @@ class CRMApplication {
      * Get display name for dashboard
      */
     getDashboardName(dashboardType) {
-        const names = {
-            'opportunities': 'Opportunities',
-            'sales-orders': 'Sales Orders',
-            'helpdesk': 'Helpdesk'
-        };
-        return names[dashboardType] || 'Dashboard';
+        return DashboardRegistry.get(dashboardType)?.label || 'Dashboard';
     }
 
     /**
@@ -275,7 +916,8 @@ class CRMApplication {
         const emailData = {
             recipient: formData.get('recipientEmail'),
             subject: formData.get('emailSubject'),
-            message: formData.get('emailMessage')
+            message: formData.get('emailMessage'),
+            attachment: formData.get('emailAttachment') || 'pdf'
         };
 
         // Persist last used email
@@ -289,7 +931,9 @@ class CRMApplication {
             return;
         }
 
+        const submitBtn = document.querySelector('button[form="emailForm"]');
         try {
+            submitBtn.disabled = true;
             this.showNotification('Sending email...', 'info');
             
             if (this.currentController) {
@@ -303,7 +947,11 @@ class CRMApplication {
             this.showNotification('Email sent successfully!', 'success');
             
         } catch (error) {
-            this.showNotification('Failed to send email', 'error');
+            // Cancelling the attachment's PDF job already said so
+            if (error.type === 'CANCELLED') return;
+            this.showNotification(error.type === 'FORBIDDEN' ? error.message : 'Failed to send email', 'error');
+        } finally {
+            submitBtn.disabled = false;
         }
     }
 
@@ -369,6 +1017,12 @@ class CRMApplication {
      * Show notification
      */
     showNotification(message, type = 'info') {
+        // With notifications switched off only warnings and errors are shown
+        if (['info', 'success'].includes(type) && this.featureFlags && !this.featureFlags.isEnabled('notifications')) {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+
         // Remove existing notification
         const existingNotification = document.querySelector('.notification');
         if (existingNotification) {
@@ -378,7 +1032,8 @@ class CRMApplication {
         // Create new notification
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
-        notification.innerHTML = `
+        // Messages can carry API text (error messages, record names); escape them
+        notification.innerHTML = html`
             <div class="notification-content">
                 <span class="notification-icon">${this.getNotificationIcon(type)}</span>
                 <span class="notification-message">${message}</span>
@@ -419,9 +1074,8 @@ class CRMApplication {
         }
         
         // Remove event listeners
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.replaceWith(btn.cloneNode(true));
-        });
+        const nav = document.querySelector('.nav-container');
+        nav.replaceWith(nav.cloneNode(false));
         
         console.log('CRM Application destroyed');
     }
@@ -19,13 +19,23 @@ const Config = {
         baseURL: 'mock',
         endpoints: {
             opportunities: '/opportunities',
+            opportunityTrend: '/opportunities/trend',
+            opportunityHistory: '/opportunities/{id}/history',
+            opportunityHistories: '/opportunities/history', // ?ids=a,b,c
             salesOrders: '/sales-orders',
             helpdesk: '/helpdesk-tickets',
+            customer: '/customers/{id}',
             pdf: '/pdf/generate',
-            email: '/email/send'
+            pdfStatus: '/pdf/status/{id}',
+            pdfCancel: '/pdf/cancel/{id}',
+            email: '/email/send',
+            featureFlags: '/feature-flags',
+            pipelineSettings: '/settings/pipeline'
         },
         timeout: 30000, // 30 seconds
-        retryAttempts: 3
+        retryAttempts: 3,
+        historyBatchSize: 50, // ids per batch status history request
+        historyConcurrency: 4 // parallel per-opportunity history requests without the batch endpoint
     },
 
     // Dashboard Settings
@@ -33,6 +43,7 @@ const Config = {
         opportunities: {
             name: 'Sales Opportunities',
             refreshInterval: 300000, // 5 minutes
+            trendSource: 'client', // 'server' reads the trend from API.endpoints.opportunityTrend
             features: {
                 pdfExport: true,
                 emailReports: true,
@@ -59,6 +70,64 @@ const Config = {
         }
     },
 
+    // Pipeline weighting. Win probability (0-1) per opportunity status; admins
+    // can override these from the Admin dashboard (stored via API.endpoints.pipelineSettings)
+    PIPELINE: {
+        stageProbabilities: {
+            new: 0.1,
+            progress: 0.4,
+            closed_won: 1,
+            closed_lost: 0
+        },
+        defaultProbability: 0.1, // statuses without an entry
+        closedStatuses: ['closed_won', 'closed_lost'],
+        funnelStages: ['new', 'progress', 'closed_won'] // closed_lost is an exit from any stage
+    },
+
+    // Revenue forecast (Opportunities dashboard)
+    FORECAST: {
+        horizons: [1, 2, 3], // months ahead
+        priorWeight: 5, // pulls win rates from small samples toward the overall rate
+        staleCycleMultiple: 2, // deals older than this many median sales cycles count at half probability
+        bandZ: 1.28 // best / worst case = commit ± z·σ (about an 80% band)
+    },
+
+    // Source and campaign attribution (Opportunities dashboard)
+    ATTRIBUTION: {
+        // Spend per campaign name; campaigns listed here get a row in the ROI table
+        campaignCosts: {
+            'Enterprise Campaign': 60000,
+            'Partner Program': 25000,
+            'Web Chat': 12000,
+            'Quarterly Newsletter': 8000,
+            'Trade Show': 45000
+        }
+    },
+
+    // Roles and permissions (the server's login or /user/preferences response
+    // may return `role` and/or an explicit `permissions` list instead)
+    PERMISSIONS: {
+        defaultRole: 'viewer',
+        roles: {
+            admin: ['*'],
+            manager: [
+                'dashboard:opportunities:*',
+                'dashboard:salesOrders:*',
+                'dashboard:helpdesk:*'
+            ],
+            viewer: [
+                'dashboard:opportunities:view',
+                'dashboard:salesOrders:view',
+                'dashboard:helpdesk:view'
+            ]
+        }
+    },
+
+    // Session Settings
+    SESSION: {
+        idleTimeout: 1800000 // 30 minutes; 0 disables the idle logout
+    },
+
     // PDF Export Settings
     PDF: {
         pageSize: 'A4',
@@ -76,6 +145,14 @@ const Config = {
         footer: {
             enabled: true,
             text: 'Confidential - Generated on {{date}}'
+        },
+        // Server-side report jobs: status polling with backoff
+        jobs: {
+            pollInterval: 500, // first poll delay
+            maxPollInterval: 5000,
+            backoff: 1.5, // delay multiplier after each poll
+            timeout: 300000, // give up after 5 minutes
+            recentLimit: 10 // completed exports kept in the Recent Exports panel
         }
     },
 
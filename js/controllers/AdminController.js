@@ -1,6 +1,7 @@
 import BaseController from './BaseController.js';
 import AdminView from '../views/AdminView.js';
 import SchedulerService from '../services/SchedulerService.js';
+import PipelineSettingsService from '../services/PipelineSettingsService.js';
 
 class AdminController extends BaseController {
     constructor(apiService) {
@@ -12,37 +13,93 @@ class AdminController extends BaseController {
         }, view);
         this.apiService = apiService;
         this.scheduler = new SchedulerService(apiService);
+        this.pipelineSettings = new PipelineSettingsService(apiService);
         this.dashboardType = 'admin';
     }
 
     setupViewHandlers() {
         this.view.onAddJob = (payload) => {
+            if (!this.checkAdmin()) {
+                this.showNotification('You do not have permission to manage scheduled jobs', 'warning');
+                return;
+            }
             this.scheduler.addJob(payload);
-            this.view.render();
+            this.renderView();
             this.showSuccess('Job added');
         };
         this.view.onDeleteJob = (id) => {
+            if (!this.checkAdmin()) {
+                this.showNotification('You do not have permission to manage scheduled jobs', 'warning');
+                return;
+            }
             this.scheduler.removeJob(id);
-            this.view.render();
+            this.renderView();
             this.showSuccess('Job deleted');
         };
+        this.view.onSaveProbabilities = (probabilities) => {
+            this.saveProbabilities(probabilities);
+        };
+        this.view.onResetProbabilities = () => {
+            this.resetProbabilities();
+        };
     }
 
     async loadData() {
-        this.view.render();
-        const isAdmin = this.checkAdmin();
-        if (!isAdmin) {
+        if (!this.checkAdmin() && !this.canEditPipeline()) {
             this.view.showError('Unauthorized. Admin only.');
             return;
         }
-        this.scheduler.start();
+        if (this.canEditPipeline()) {
+            await this.pipelineSettings.load();
+        }
+        this.renderView();
+        if (this.checkAdmin()) {
+            this.scheduler.start();
+        }
     }
 
-    checkAdmin() {
+    renderView() {
+        this.view.render({
+            canManageJobs: this.checkAdmin(),
+            canEditPipeline: this.canEditPipeline(),
+            probabilities: this.pipelineSettings.getProbabilities()
+        });
+    }
+
+    async saveProbabilities(probabilities) {
+        if (!this.canEditPipeline()) {
+            this.showNotification('You do not have permission to change stage probabilities', 'warning');
+            return;
+        }
         try {
-            const role = localStorage.getItem('crm_role');
-            return role === 'admin';
-        } catch { return false; }
+            await this.pipelineSettings.save(probabilities);
+            this.renderView();
+            this.showSuccess('Stage probabilities saved');
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to save stage probabilities', 'error');
+        }
+    }
+
+    async resetProbabilities() {
+        if (!this.canEditPipeline()) {
+            this.showNotification('You do not have permission to change stage probabilities', 'warning');
+            return;
+        }
+        try {
+            await this.pipelineSettings.reset();
+            this.renderView();
+            this.showSuccess('Stage probabilities reset to defaults');
+        } catch (error) {
+            this.showNotification(error.message || 'Failed to reset stage probabilities', 'error');
+        }
+    }
+
+    checkAdmin() {
+        return !!this.permissions && this.permissions.canManageJobs();
+    }
+
+    canEditPipeline() {
+        return !!this.permissions && this.permissions.canManageSettings();
     }
 }
 
@@ -6,6 +6,9 @@
 import Config from '../config.js';
 import PdfService from '../services/PdfService.js';
 import EmailService from '../services/EmailService.js';
+import ExportService from '../services/ExportService.js';
+import PdfReportBuilder from '../services/PdfReportBuilder.js';
+import DashboardRegistry from '../dashboards.js';
 
 class BaseController {
     constructor(model, view) {
@@ -13,6 +16,10 @@ class BaseController {
         this.view = view;
         this.isInitialized = false;
         this.refreshTimer = null;
+        this.permissions = null; // PermissionService, set by the app
+        this.features = null; // FeatureFlagService, set by the app
+        this.onStateChange = null; // Called when filters, sort or selection change (routing)
+        this.defaultFilters = typeof model.getFilters === 'function' ? model.getFilters() : {};
         
         // Bind methods to maintain context
         this.handleDataChange = this.handleDataChange.bind(this);
@@ -26,10 +33,23 @@ class BaseController {
     async init() {
         if (this.isInitialized) return;
 
+        // Views read the same feature flags when rendering
+        this.view.features = this.features;
+
+        if (!this.can('view')) {
+            this.view.showError('You do not have access to this dashboard.');
+            return;
+        }
+
         try {
             // Set up model listeners
             this.model.addListener(this.handleDataChange);
             
+            // Sort and selection changes are part of the routable view state
+            this.view.onSortChange = () => this.notifyStateChange();
+            this.view.onRecordSelect = () => this.notifyStateChange();
+            this.view.onCompareChange = (compareTo) => this.handleCompareChange(compareTo);
+
             // Set up view event handlers
             this.setupViewHandlers();
             
@@ -82,6 +102,9 @@ class BaseController {
      * Handle errors
      */
     handleError(message, error = null) {
+        // Cancelled requests are expected during teardown, not failures
+        if (error?.type === 'CANCELLED') return;
+
         console.error(message, error);
         this.view.showError(message);
         
@@ -103,12 +126,94 @@ class BaseController {
         }
     }
 
+    /**
+     * Get the routable view state: filters, sort column and selected record
+     */
+    getViewState() {
+        return {
+            filters: typeof this.model.getFilters === 'function' ? this.model.getFilters() : {},
+            sort: this.view.sortState,
+            record: this.view.selectedRecordId
+        };
+    }
+
+    /**
+     * Restore a view state (from the URL); only refetches when filters change
+     */
+    async applyViewState({ filters = {}, sort = null, record = null } = {}) {
+        this.view.sortState = sort;
+        this.view.selectedRecordId = record;
+
+        if (typeof this.model.getFilters !== 'function') return;
+
+        const next = { ...this.defaultFilters, ...filters };
+        const current = this.model.getFilters();
+        const changed = Object.keys({ ...current, ...next }).some(key => String(current[key] ?? '') !== String(next[key] ?? ''));
+
+        try {
+            if (changed) {
+                this.view.showUpdating();
+                await this.model.updateFilters(next);
+            } else {
+                // Same data, re-render for the new sort and selection
+                this.view.invalidate();
+                this.handleDataChange(this.model.getData());
+            }
+        } catch (error) {
+            this.handleError('Failed to apply filters', error);
+        }
+    }
+
+    /**
+     * Switch KPI comparison between the previous period and the same period last year
+     */
+    handleCompareChange(compareTo) {
+        if (typeof this.model.setComparison !== 'function') return;
+
+        this.model.setComparison(compareTo);
+        this.notifyStateChange();
+    }
+
+    /**
+     * Tell the app that the routable view state changed
+     */
+    notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange(this.getViewState());
+        }
+    }
+
+    /**
+     * Check an action on this dashboard against the user's permissions
+     */
+    can(action) {
+        return !!this.permissions && this.permissions.canDashboard(this.dashboardType, action);
+    }
+
+    /**
+     * Check feature flags for this dashboard
+     * @returns {{enabled: boolean, reason: string}}
+     */
+    checkFeature(flags) {
+        if (!this.features) return { enabled: true, reason: '' };
+        return this.features.check(flags, this.dashboardType);
+    }
+
+    /**
+     * Create the error thrown when a permission check fails
+     */
+    createForbiddenError(message) {
+        const error = new Error(message);
+        error.type = 'FORBIDDEN';
+        return error;
+    }
+
     /**
      * Refresh data
      */
     async refreshData() {
         try {
-            this.view.showLoading();
+            this.view.showUpdating();
             await this.loadData();
         } catch (error) {
             this.handleError('Failed to refresh data', error);
@@ -119,41 +224,44 @@ class BaseController {
      * Export to PDF
      */
     async exportToPDF() {
+        if (!this.can('export')) {
+            this.showNotification('You do not have permission to export this dashboard', 'warning');
+            return;
+        }
+
+        const exportFeature = this.checkFeature('pdfExport');
+        if (!exportFeature.enabled) {
+            this.showNotification(exportFeature.reason, 'warning');
+            return;
+        }
+
         try {
             this.showNotification('Generating PDF...', 'info');
 
             const pdfService = new PdfService(this.apiService);
             const filters = typeof this.model.getFilters === 'function' ? this.model.getFilters() : {};
-            const response = await pdfService.generateDashboardPDF(this.dashboardType, this.model.getData?.() || {}, filters);
+            const job = await pdfService.generateDashboardPDF(this.dashboardType, this.model.getData?.() || {}, filters);
 
-            if (response && response.id) {
-                await this.apiService.downloadPDF(response.id);
+            if (job && job.id) {
+                await this.trackPdfJob(job, { title: this.getReportTitle(), dashboardType: this.dashboardType });
             }
             this.showSuccess('PDF exported successfully!');
             
         } catch (error) {
+            // Cancelled by the user (the app already said so) or by signing out
+            if (error?.type === 'CANCELLED') return;
+
+            // The dashboard was left while the job ran: no view to build the report from
+            if (!this.isInitialized) {
+                this.showNotification('PDF export failed', 'error');
+                return;
+            }
+
             console.warn('Server-side PDF export failed, attempting client-side export...', error);
             try {
-                // Client-side fallback using html2canvas + jsPDF if available
-                if (window.html2canvas && window.jspdf) {
-                    const { jsPDF } = window.jspdf;
-                    const container = document.getElementById('dashboardContainer');
-                    const canvas = await window.html2canvas(container, { scale: 2, useCORS: true });
-                    const imgData = canvas.toDataURL('image/png');
-                    const pdf = new jsPDF('p', 'mm', 'a4');
-                    const pageWidth = pdf.internal.pageSize.getWidth();
-                    const pageHeight = pdf.internal.pageSize.getHeight();
-                    const imgWidth = pageWidth;
-                    const imgHeight = (canvas.height * imgWidth) / canvas.width;
-                    let position = 0;
-                    let remaining = imgHeight;
-                    pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-                    while (remaining > pageHeight) {
-                        position = position - pageHeight;
-                        pdf.addPage();
-                        pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-                        remaining -= pageHeight;
-                    }
+                // Client-side fallback: structured report built with jsPDF if available
+                if (window.jspdf) {
+                    const pdf = this.buildClientReport();
                     pdf.save(`dashboard-${this.dashboardType}-${Date.now()}.pdf`);
                     this.showSuccess('PDF exported (client-side)');
                 } else {
@@ -166,18 +274,188 @@ class BaseController {
     }
 
     /**
-     * Send email report
+     * Title of this dashboard's PDF report
      */
-    async sendEmailReport(emailData) {
+    getReportTitle() {
+        const label = DashboardRegistry.list().find(entry => entry.configKey === this.dashboardType)?.label || 'Dashboard';
+        return `${label} Report`;
+    }
+
+    /**
+     * Build the PDF report in the browser with jsPDF (see PdfReportBuilder)
+     * @returns {Object} jsPDF document
+     */
+    buildClientReport(content = this.view.getReportContent()) {
+        const builder = new PdfReportBuilder(window.jspdf.jsPDF, Config.PDF);
+        return builder.build({ title: this.getReportTitle(), ...content });
+    }
+
+    /**
+     * Follow a submitted PDF job until its file is downloaded (or, with
+     * details.download false, until it is ready). The app tracks it with a
+     * progress notification and a Cancel button when available.
+     */
+    async trackPdfJob(job, details) {
+        if (window.crmApp && typeof window.crmApp.trackPdfJob === 'function') {
+            return window.crmApp.trackPdfJob(job, details);
+        }
+
+        const pdfService = new PdfService(this.apiService);
+        if (!pdfService.isComplete(job)) {
+            await pdfService.waitForJob(job.id);
+        }
+        if (details.download === false) return null;
+        return this.apiService.downloadPDF(job.id);
+    }
+
+    /**
+     * Columns offered in the export dialog and whether line items can be included
+     */
+    getExportOptions() {
+        const { columns = [], lineItems = null } = this.view.getExportConfig?.() || {};
+        return {
+            columns: columns.map(({ key, label, selected }) => ({ key, label, selected: selected !== false })),
+            hasLineItems: typeof lineItems === 'function'
+        };
+    }
+
+    /**
+     * Export the filtered, sorted table to CSV or XLSX
+     * @param {Object} options - format: 'csv' | 'xlsx', columns: column keys, includeLineItems
+     */
+    exportData({ format = 'csv', columns = [], includeLineItems = false } = {}) {
+        if (!this.can('export')) {
+            this.showNotification('You do not have permission to export this dashboard', 'warning');
+            return;
+        }
+
+        const exportFeature = this.checkFeature('dataExport');
+        if (!exportFeature.enabled) {
+            this.showNotification(exportFeature.reason, 'warning');
+            return;
+        }
+
+        const exportService = new ExportService();
+        const { table, records } = this.buildExportTable(exportService, columns, includeLineItems);
+        if (!table) {
+            this.showNotification('Choose at least one column to export', 'warning');
+            return;
+        }
+
+        try {
+            const filename = exportService.exportTable(table, format, this.dashboardType);
+            this.showSuccess(`Exported ${records.length} records to ${filename}`);
+        } catch (error) {
+            // Keep the dashboard on screen; only the download failed
+            console.error('Data export failed:', error);
+            this.showNotification?.('Data export failed', 'error');
+        }
+    }
+
+    /**
+     * The view's filtered, sorted records as an export table
+     * @param {string[]} columns - Column keys; the table is null when none match
+     */
+    buildExportTable(exportService, columns, includeLineItems = false) {
+        const config = this.view.getExportConfig?.() || { columns: [] };
+        const selected = config.columns.filter(column => columns.includes(column.key));
+        const records = this.view.getExportRecords?.() || [];
+        if (!selected.length) {
+            return { table: null, records };
+        }
+
+        const lineItems = includeLineItems ? config.lineItems : null;
+        return { table: exportService.buildTable(records, selected, lineItems), records };
+    }
+
+    /**
+     * Report file for an email: the server PDF is attached by job id, a
+     * client-side PDF or CSV as base64 content
+     * @param {string} format - 'pdf' | 'csv'
+     * @param {Object} content - getReportContent() of the view
+     */
+    async buildEmailAttachment(format, filters, content) {
+        const emailService = new EmailService(this.apiService);
+        const exportService = new ExportService();
+        const baseName = `${this.dashboardType}-${exportService.getDateStamp()}`;
+
+        if (format === 'csv') {
+            const defaults = this.getExportOptions().columns.filter(column => column.selected).map(column => column.key);
+            const { table } = this.buildExportTable(exportService, defaults);
+            if (!table) {
+                throw new Error('This dashboard has no table to attach as CSV');
+            }
+            return {
+                filename: `${baseName}.csv`,
+                content_type: 'text/csv',
+                content: emailService.encodeBase64(exportService.toCSV(table))
+            };
+        }
+
         try {
-            this.showNotification('Sending email...', 'info');
+            const pdfService = new PdfService(this.apiService);
+            const job = await pdfService.generateDashboardPDF(this.dashboardType, this.model.getData?.() || {}, filters);
+            if (!job?.id) {
+                throw new Error('PDF service returned no job to attach');
+            }
+            await this.trackPdfJob(job, {
+                title: `${this.getReportTitle()} (email attachment)`,
+                dashboardType: this.dashboardType,
+                download: false
+            });
+            return { filename: `${baseName}.pdf`, content_type: 'application/pdf', pdf_id: job.id };
+        } catch (error) {
+            if (error?.type === 'CANCELLED' || !window.jspdf) throw error;
 
+            console.warn('Server-side PDF failed, attaching a client-side report...', error);
+            const pdf = this.buildClientReport(content);
+            return {
+                filename: `${baseName}.pdf`,
+                content_type: 'application/pdf',
+                content: pdf.output('datauristring').split(',').pop()
+            };
+        }
+    }
+
+    /**
+     * Send email report with the dashboard attached as a PDF or CSV
+     * (emailData.attachment) and the KPI cards summarized in the body.
+     * The caller shows the sending / sent / failed notifications.
+     */
+    async sendEmailReport(emailData) {
+        if (!this.can('email')) {
+            throw this.createForbiddenError('You do not have permission to email this dashboard');
+        }
+
+        const emailFeature = this.checkFeature('emailReports');
+        if (!emailFeature.enabled) {
+            throw this.createForbiddenError(emailFeature.reason);
+        }
+
+        try {
             const emailService = new EmailService(this.apiService);
-            await emailService.sendDashboardReport(this.dashboardType, emailData);
-            this.showSuccess('Email sent successfully!');
-            
+            const filters = typeof this.model.getFilters === 'function' ? this.model.getFilters() : {};
+            const content = this.view.getReportContent();
+            const attachment = await this.buildEmailAttachment(emailData.attachment || 'pdf', filters, content);
+            const summary = emailService.buildKpiSummary({
+                title: this.getReportTitle(),
+                message: emailData.message,
+                filters: content.filters,
+                kpis: content.kpis
+            });
+
+            await emailService.sendDashboardReport(this.dashboardType, {
+                ...emailData,
+                filters,
+                html: summary,
+                attachments: [attachment]
+            });
         } catch (error) {
-            this.handleError('Failed to send email', error);
+            // Keep the dashboard on screen; the caller reports the failure
+            if (error.type !== 'CANCELLED') {
+                console.error('Failed to send email:', error);
+            }
+            throw error;
         }
     }
 
@@ -221,7 +499,7 @@ class BaseController {
             const dashboardCfg = Config?.DASHBOARDS?.[this.dashboardType];
             if (!dashboardCfg) return;
 
-            const enable = Config?.UI?.autoRefresh && dashboardCfg?.features?.realTimeUpdates;
+            const enable = Config?.UI?.autoRefresh && this.checkFeature('realTimeUpdates').enabled;
             const intervalMs = dashboardCfg?.refreshInterval || 300000;
 
             if (this.refreshTimer) {
@@ -22,7 +22,7 @@ class HelpdeskController extends BaseController {
 
     async loadData() {
         try {
-            this.view.showLoading();
+            this.view.showUpdating();
             await this.model.fetchTickets();
         } catch (e) {
             this.handleError('Failed to load helpdesk data', e);
@@ -31,8 +31,9 @@ class HelpdeskController extends BaseController {
 
     async handleFiltersChange(filters) {
         try {
-            this.view.showLoading();
+            this.view.showUpdating();
             await this.model.updateFilters(filters);
+            this.notifyStateChange();
             this.showSuccess('Filters applied successfully');
         } catch (e) {
             this.handleError('Failed to apply filters', e);
@@ -26,6 +26,11 @@ class OpportunitiesController extends BaseController {
             this.handleFiltersChange(filters);
         };
 
+        // Handle trend granularity / cumulative toggle
+        this.view.onTrendOptionsChange = (options) => {
+            this.handleTrendOptionsChange(options);
+        };
+
         // Handle PDF export
         this.view.onExportPDF = () => {
             this.exportToPDF();
@@ -42,7 +47,7 @@ class OpportunitiesController extends BaseController {
      */
     async loadData() {
         try {
-            this.view.showLoading();
+            this.view.showUpdating();
             await this.model.fetchOpportunities();
         } catch (error) {
             this.handleError('Failed to load opportunities data', error);
@@ -54,14 +59,28 @@ class OpportunitiesController extends BaseController {
      */
     async handleFiltersChange(filters) {
         try {
-            this.view.showLoading();
+            this.view.showUpdating();
             await this.model.updateFilters(filters);
+            this.notifyStateChange();
             this.showSuccess('Filters applied successfully');
         } catch (error) {
             this.handleError('Failed to apply filters', error);
         }
     }
 
+    /**
+     * Redraw the trend chart for a new granularity or mode
+     */
+    async handleTrendOptionsChange(options) {
+        try {
+            await this.model.setTrendOptions(options);
+            this.view.updateCharts(this.processChartData(this.model.getData()));
+            this.notifyStateChange();
+        } catch (error) {
+            this.handleError('Failed to update trend', error);
+        }
+    }
+
     /**
      * Process data for charts
      */
@@ -78,11 +97,15 @@ class OpportunitiesController extends BaseController {
             window.crmApp.openEmailModal();
         } else {
             // Fallback: direct call to send email
+            this.showNotification('Sending email...', 'info');
             this.sendEmailReport({
                 recipient: 'executive@companya.com',
                 subject: 'Opportunities Dashboard Report',
                 message: 'Please find attached the latest opportunities dashboard report.'
-            });
+            }).then(
+                () => this.showSuccess('Email sent successfully!'),
+                () => this.showNotification('Failed to send email', 'error')
+            );
         }
     }
 
@@ -21,7 +21,10 @@ class SalesOrdersController extends BaseController {
      * Set up view event handlers
      */
     setupViewHandlers() {
-        // Sales orders specific event handlers would go here
+        // Handle filter changes
+        this.view.onFiltersChange = (filters) => {
+            this.handleFiltersChange(filters);
+        };
     }
 
     /**
@@ -29,12 +32,33 @@ class SalesOrdersController extends BaseController {
      */
     async loadData() {
         try {
-            this.view.showLoading();
+            this.view.showUpdating();
             await this.model.fetchSalesOrders();
         } catch (error) {
             this.handleError('Failed to load sales orders data', error);
         }
     }
+
+    /**
+     * Handle filter changes
+     */
+    async handleFiltersChange(filters) {
+        try {
+            this.view.showUpdating();
+            await this.model.updateFilters(filters);
+            this.notifyStateChange();
+            this.showSuccess('Filters applied successfully');
+        } catch (error) {
+            this.handleError('Failed to apply filters', error);
+        }
+    }
+
+    /**
+     * Process data for charts
+     */
+    processChartData(data) {
+        return this.model.getChartData();
+    }
 }
 
 export default SalesOrdersController;
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Dashboard Registry
+ * Declares every dashboard the app can show. Adding a dashboard means adding an
+ * entry here (plus a Config.DASHBOARDS block if it needs refresh or feature settings).
+ *
+ * Entry fields:
+ *   id          - Nav and URL id ('sales-orders')
+ *   label, icon - Nav button text
+ *   configKey   - Key in Config.DASHBOARDS and the controller's dashboardType
+ *   permission  - Permission required to see the dashboard
+ *   features    - Feature flags that must all be enabled for the dashboard to appear
+ *   load        - Lazy loader returning the controller module
+ */
+
+const DashboardRegistry = {
+    entries: [
+        {
+            id: 'opportunities',
+            label: 'Opportunities',
+            icon: '📈',
+            configKey: 'opportunities',
+            permission: 'dashboard:opportunities:view',
+            features: [],
+            load: () => import('./controllers/OpportunitiesController.js')
+        },
+        {
+            id: 'sales-orders',
+            label: 'Sales Orders',
+            icon: '🛒',
+            configKey: 'salesOrders',
+            permission: 'dashboard:salesOrders:view',
+            features: [],
+            load: () => import('./controllers/SalesOrdersController.js')
+        },
+        {
+            id: 'helpdesk',
+            label: 'Helpdesk',
+            icon: '🎫',
+            configKey: 'helpdesk',
+            permission: 'dashboard:helpdesk:view',
+            features: [],
+            load: () => import('./controllers/HelpdeskController.js')
+        },
+        {
+            id: 'admin',
+            label: 'Admin',
+            icon: '🛠️',
+            configKey: 'admin',
+            permission: 'dashboard:admin:view',
+            features: [],
+            load: () => import('./controllers/AdminController.js')
+        }
+    ],
+
+    /**
+     * Get all registered dashboards in nav order
+     */
+    list() {
+        return [...this.entries];
+    },
+
+    /**
+     * Get a dashboard entry by id
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    },
+
+    /**
+     * Load a dashboard's controller class on demand
+     */
+    async loadController(id) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`Unknown dashboard type: ${id}`);
+        }
+        const module = await entry.load();
+        return module.default;
+    }
+};
+
+export default DashboardRegistry;
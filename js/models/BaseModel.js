@@ -44,6 +44,13 @@ class BaseModel {
         }
     }
 
+    /**
+     * Replace filters before the next fetch (e.g. to restore a saved view)
+     */
+    setFilters(filters = {}) {
+        this.filters = { ...(this.filters || {}), ...filters };
+    }
+
     /**
      * Add data change listener
      */
@@ -71,6 +78,233 @@ class BaseModel {
         });
     }
 
+    /**
+     * Get the date window for a range in days. With compareTo set, returns the
+     * window to compare against: 'previous' (the equal-length period just before)
+     * or 'lastYear' (the same period a year earlier).
+     */
+    getDateWindow(dateRange, compareTo = null, now = Date.now()) {
+        const day = 24 * 60 * 60 * 1000;
+        const days = parseInt(dateRange, 10) || 90;
+        const rangeMs = days * day;
+
+        if (compareTo === 'lastYear') {
+            const shift = 365 * day;
+            return { start: now - shift - rangeMs, end: now - shift, comparison: true, label: 'vs same period last year' };
+        }
+        if (compareTo) {
+            return { start: now - 2 * rangeMs, end: now - rangeMs, comparison: true, label: `vs prior ${days} days` };
+        }
+        return { start: now - rangeMs, end: Infinity, comparison: false, label: `last ${days} days` };
+    }
+
+    /**
+     * Check a millisecond timestamp against a date window. Undated records
+     * count toward the current window only.
+     */
+    isInWindow(value, window) {
+        const ts = parseInt(value, 10);
+        if (isNaN(ts)) return !window.comparison;
+        return ts >= window.start && ts < window.end;
+    }
+
+    /**
+     * Summarize the comparison window with the model's own applyFilters and
+     * calculateSummary(records, window), and diff every numeric KPI against the
+     * current summary
+     */
+    calculateComparison(records, currentSummary) {
+        const compareTo = this.filters?.compareTo || 'previous';
+        const window = this.getDateWindow(this.filters?.dateRange, compareTo);
+        const previousRecords = this.applyFilters(records, window);
+        const previousSummary = this.calculateSummary(previousRecords, window);
+
+        const metrics = {};
+        Object.keys(currentSummary || {}).forEach(key => {
+            const current = currentSummary[key];
+            const previous = previousSummary[key];
+            if (typeof current !== 'number' || typeof previous !== 'number') return;
+
+            const delta = current - previous;
+            metrics[key] = {
+                current,
+                previous,
+                delta,
+                percent: previous !== 0 ? (delta / Math.abs(previous)) * 100 : null,
+                direction: delta > 0 ? 'up' : (delta < 0 ? 'down' : 'flat')
+            };
+        });
+
+        return {
+            compareTo,
+            label: window.label,
+            hasData: previousRecords.length > 0,
+            metrics
+        };
+    }
+
+    /**
+     * Milliseconds between a window's end and now, used to turn "age as of today"
+     * fields into "age as of the window end"
+     */
+    getWindowOffset(window) {
+        return window && Number.isFinite(window.end) ? Math.max(0, Date.now() - window.end) : 0;
+    }
+
+    /**
+     * Switch the KPI comparison window and re-emit the data without refetching
+     */
+    setComparison(compareTo) {
+        this.filters = { ...(this.filters || {}), compareTo };
+        if (this.data && typeof this.refreshComparison === 'function') {
+            this.data = { ...this.data, filters: this.filters, comparison: this.refreshComparison() };
+            this.notifyListeners();
+        }
+    }
+
+    /**
+     * Pick a time bucket size that keeps a trend chart readable for a date range
+     */
+    getAutoGranularity(rangeDays) {
+        const days = parseInt(rangeDays, 10) || 90;
+        if (days <= 31) return 'day';
+        if (days <= 120) return 'week';
+        if (days <= 730) return 'month';
+        return 'quarter';
+    }
+
+    /**
+     * Get the start timestamp of the period containing ts
+     */
+    getPeriodStart(ts, granularity) {
+        const date = new Date(ts);
+        date.setHours(0, 0, 0, 0);
+
+        switch (granularity) {
+            case 'week': {
+                // Weeks start on Monday
+                const offset = (date.getDay() + 6) % 7;
+                date.setDate(date.getDate() - offset);
+                break;
+            }
+            case 'month':
+                date.setDate(1);
+                break;
+            case 'quarter':
+                date.setDate(1);
+                date.setMonth(Math.floor(date.getMonth() / 3) * 3);
+                break;
+            default:
+                break;
+        }
+        return date.getTime();
+    }
+
+    /**
+     * Get the start of the period after the one starting at ts
+     */
+    getNextPeriodStart(ts, granularity) {
+        const date = new Date(ts);
+        switch (granularity) {
+            case 'week':
+                date.setDate(date.getDate() + 7);
+                break;
+            case 'month':
+                date.setMonth(date.getMonth() + 1);
+                break;
+            case 'quarter':
+                date.setMonth(date.getMonth() + 3);
+                break;
+            default:
+                date.setDate(date.getDate() + 1);
+        }
+        return date.getTime();
+    }
+
+    /**
+     * Format a period start for chart labels
+     */
+    formatPeriodLabel(ts, granularity) {
+        const date = new Date(ts);
+        switch (granularity) {
+            case 'week':
+                return `Wk of ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+            case 'month':
+                return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+            case 'quarter':
+                return `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`;
+            default:
+                return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        }
+    }
+
+    /**
+     * Parse a time-bucket filter ('YYYY-MM-DD:granularity', local dates)
+     * @returns {{start: number, end: number, label: string}|null}
+     */
+    parsePeriodFilter(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2}):(day|week|month|quarter)$/.exec(value || '');
+        if (!match) return null;
+
+        const [, year, month, day, granularity] = match;
+        const start = new Date(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10)).getTime();
+        return {
+            start,
+            end: this.getNextPeriodStart(start, granularity),
+            label: this.formatPeriodLabel(start, granularity)
+        };
+    }
+
+    /**
+     * Group records into consecutive time buckets (empty periods are kept as zero)
+     * @param {Array} records - Records with a millisecond timestamp field
+     * @param {Object} options - { dateField, valueFn, granularity, startTs, endTs }
+     * @returns {{labels: string[], values: number[], counts: number[], starts: number[], granularity: string}}
+     */
+    groupByPeriod(records, options = {}) {
+        const {
+            dateField = 'date_created',
+            valueFn = () => 0,
+            granularity = 'month',
+            endTs = Date.now()
+        } = options;
+
+        const timestamps = records
+            .map(record => parseInt(record[dateField], 10))
+            .filter(ts => !isNaN(ts));
+        const startTs = options.startTs ?? (timestamps.length ? Math.min(...timestamps) : endTs);
+
+        // Pre-fill every period in the window so gaps show as zero
+        const buckets = new Map();
+        let cursor = this.getPeriodStart(startTs, granularity);
+        const last = this.getPeriodStart(endTs, granularity);
+        while (cursor <= last) {
+            buckets.set(cursor, { value: 0, count: 0 });
+            cursor = this.getNextPeriodStart(cursor, granularity);
+        }
+
+        records.forEach(record => {
+            const ts = parseInt(record[dateField], 10);
+            if (isNaN(ts)) return;
+            const key = this.getPeriodStart(ts, granularity);
+            if (!buckets.has(key)) {
+                buckets.set(key, { value: 0, count: 0 });
+            }
+            const bucket = buckets.get(key);
+            bucket.value += valueFn(record) || 0;
+            bucket.count++;
+        });
+
+        const starts = Array.from(buckets.keys()).sort((a, b) => a - b);
+        return {
+            labels: starts.map(ts => this.formatPeriodLabel(ts, granularity)),
+            values: starts.map(ts => buckets.get(ts).value),
+            counts: starts.map(ts => buckets.get(ts).count),
+            starts,
+            granularity
+        };
+    }
+
     /**
      * Get current data
      */
@@ -10,12 +10,14 @@ class HelpdeskModel extends BaseModel {
         super(apiService);
         this.summary = null;
         this.tickets = [];
+        this.filteredTickets = [];
         this.filters = {
             dateRange: '30',
             status: 'all',
             priority: 'all',
             assignedTo: 'all',
-            category: 'all'
+            category: 'all',
+            compareTo: 'previous'
         };
     }
 
@@ -25,6 +27,7 @@ class HelpdeskModel extends BaseModel {
             const data = await this.apiService.get('/helpdesk-tickets', this.filters);
             this.tickets = this.normalizeTickets(data.tickets || data || []);
         } catch (e) {
+            if (e.type === 'CANCELLED') throw e;
             // Fallback minimal mock
             this.tickets = this.normalizeTickets([
                 {
@@ -53,10 +56,13 @@ class HelpdeskModel extends BaseModel {
             ]);
         }
 
-        this.summary = this.calculateSummary(this.tickets);
+        this.filteredTickets = this.applyFilters(this.tickets);
+        this.summary = this.calculateSummary(this.filteredTickets);
         this.data = {
-            tickets: this.applyFilters(this.tickets),
+            tickets: this.filteredTickets,
             summary: this.summary,
+            comparison: this.refreshComparison(),
+            assigneeOptions: Array.from(new Set(this.tickets.map(t => t.assigned_to))).sort(),
             filters: this.filters,
             lastUpdated: new Date().toISOString()
         };
@@ -96,31 +102,32 @@ class HelpdeskModel extends BaseModel {
         return isNaN(ts) ? null : String(ts);
     }
 
-    applyFilters(tickets) {
-        const { dateRange, status, assignedTo, category } = this.filters;
-        const now = Date.now();
-        const rangeDays = parseInt(dateRange || '30', 10);
-        const minTs = now - rangeDays * 86400000;
+    applyFilters(tickets, window = this.getDateWindow(this.filters.dateRange || '30')) {
+        const { status, assignedTo, category } = this.filters;
 
         return tickets.filter(t => {
-            const created = parseInt(t.date_created, 10);
-            const within = isNaN(created) ? true : created >= minTs;
+            const within = this.isInWindow(t.date_created, window);
             const statusOk = status === 'all' || t.status === status;
             const assignedOk = assignedTo === 'all' || t.assigned_to === assignedTo;
-            const categoryOk = category === 'all' || (t.category || '').toLowerCase() === category.toLowerCase();
+            const categoryOk = category === 'all' || (t.category || 'General').toLowerCase() === category.toLowerCase();
             return within && statusOk && assignedOk && categoryOk;
         });
     }
 
-    calculateSummary(tickets) {
+    refreshComparison() {
+        return this.calculateComparison(this.tickets, this.summary);
+    }
+
+    calculateSummary(tickets, window = null) {
         if (!tickets || tickets.length === 0) {
             return { totalTickets: 0, openTickets: 0, closedTickets: 0, avgAgeHours: 0, avgClosureHours: 0 };
         }
         const total = tickets.length;
         const open = tickets.filter(t => ['open','in_progress','pending'].includes(t.status)).length;
         const closed = tickets.filter(t => ['closed','resolved','closed_won','closed_lost'].includes(t.status)).length;
+        const ageOffsetHours = this.getWindowOffset(window) / 3600000;
         const avgAge = Math.round(
-            tickets.reduce((sum, t) => sum + (parseFloat(t.age) || 0), 0) / total
+            tickets.reduce((sum, t) => sum + Math.max(0, (parseFloat(t.age) || 0) - ageOffsetHours), 0) / total
         );
         const avgClosure = Math.round(
             tickets.reduce((sum, t) => {
@@ -144,6 +151,9 @@ class HelpdeskModel extends BaseModel {
         return await this.fetchTickets();
     }
 
+    /**
+     * Chart data from the filtered tickets, so drill-downs show in the charts too
+     */
     getChartData() {
         return {
             byStatus: this.groupBy(t => t.status),
@@ -154,7 +164,7 @@ class HelpdeskModel extends BaseModel {
 
     groupBy(keyFn) {
         const map = {};
-        this.tickets.forEach(t => {
+        this.filteredTickets.forEach(t => {
             const key = keyFn(t);
             map[key] = (map[key] || 0) + 1;
         });
@@ -163,7 +173,7 @@ class HelpdeskModel extends BaseModel {
 
     groupByAssignee() {
         const map = {};
-        this.tickets.forEach(t => {
+        this.filteredTickets.forEach(t => {
             const name = t.assigned_to || 'Unassigned';
             map[name] = (map[name] || 0) + 1;
         });
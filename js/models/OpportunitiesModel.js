@@ -4,17 +4,34 @@
  */
 
 import BaseModel from './BaseModel.js';
+import Config from '../config.js';
+import PipelineSettingsService from '../services/PipelineSettingsService.js';
 
 class OpportunitiesModel extends BaseModel {
     constructor(apiService) {
         super(apiService);
         this.summary = null;
+        this.allOpportunities = [];
         this.opportunities = [];
+        this.tableOpportunities = [];
+        this.serverTrend = null;
+        this.historyCache = new Map();
+        this.funnel = null;
+        this.forecast = null;
+        this.productMix = null;
+        this.attribution = null;
+        this.pipelineSettings = new PipelineSettingsService(apiService);
         this.filters = {
             dateRange: '90',
             status: 'all',
             assignedTo: 'all',
-            category: 'all'
+            category: 'all',
+            source: 'all',
+            campaign: 'all',
+            period: '', // trend bucket drill-down, narrows the table only
+            granularity: 'auto',
+            trendMode: 'period',
+            compareTo: 'previous'
         };
     }
 
@@ -30,19 +47,48 @@ class OpportunitiesModel extends BaseModel {
             const data = await this.apiService.get('/opportunities', this.filters);
 
             // Process the data
-            this.opportunities = this.applyFilters(data.opportunities || []);
-            this.summary = this.calculateSummary(this.opportunities);
+            this.allOpportunities = data.opportunities || [];
         } catch (error) {
+            // A cancelled request means the dashboard is being torn down
+            if (error.type === 'CANCELLED') throw error;
             console.warn('Opportunities API failed, falling back to mock data:', error);
             const mock = await this.apiService.getMockOpportunities();
-            this.opportunities = this.applyFilters(mock.opportunities || []);
-            this.summary = mock.summary || this.calculateSummary(this.opportunities);
+            this.allOpportunities = mock.opportunities || [];
         }
 
+        // Stage probabilities are needed to weight the pipeline
+        if (!this.pipelineSettings.isLoaded) {
+            await this.pipelineSettings.load();
+        }
+
+        this.opportunities = this.applyFilters(this.allOpportunities);
+        this.summary = this.calculateSummary(this.opportunities);
+        this.tableOpportunities = this.applyPeriodFilter(this.opportunities);
+
+        this.serverTrend = await this.fetchServerTrend();
+
+        await this.loadStatusHistories(this.opportunities);
+        this.funnel = this.calculateFunnel(this.opportunities);
+        this.forecast = this.calculateForecast();
+        this.productMix = this.calculateProductMix(this.opportunities);
+        this.attribution = this.calculateAttribution(this.opportunities);
+
         // Update main data reference and notify listeners once
         this.data = {
             opportunities: this.opportunities,
+            tableOpportunities: this.tableOpportunities,
+            periodLabel: this.parsePeriodFilter(this.filters.period)?.label || '',
             summary: this.summary,
+            comparison: this.refreshComparison(),
+            funnel: this.funnel,
+            forecast: this.forecast,
+            productMix: this.productMix,
+            attribution: this.attribution,
+            statusHistories: Object.fromEntries(this.tableOpportunities.map(opp => [opp.opportunity_id, this.getStatusHistory(opp)])),
+            categoryOptions: this.getCategoryOptions(),
+            assigneeOptions: this.getFieldOptions('assigned_to', 'Unassigned'),
+            sourceOptions: this.getFieldOptions('source', 'Unknown'),
+            campaignOptions: this.getFieldOptions('campaign', 'None'),
             filters: this.filters,
             lastUpdated: new Date().toISOString()
         };
@@ -53,17 +99,14 @@ class OpportunitiesModel extends BaseModel {
 
     /**
      * Apply current filters to a list of opportunities
+     * @param {Object} window - Date window, defaults to the selected range ending now
      */
-    applyFilters(opportunities) {
-        const { dateRange, status, assignedTo, category } = this.filters;
-        const now = Date.now();
-        const rangeDays = parseInt(dateRange || '90', 10);
-        const minTimestamp = now - rangeDays * 24 * 60 * 60 * 1000;
+    applyFilters(opportunities, window = this.getDateWindow(this.filters.dateRange)) {
+        const { status, assignedTo, category, source, campaign } = this.filters;
 
         return opportunities.filter(opportunity => {
             // Date range (based on creation date)
-            const created = parseInt(opportunity.date_created, 10);
-            const withinRange = isNaN(created) ? true : created >= minTimestamp;
+            const withinRange = this.isInWindow(opportunity.date_created, window);
 
             // Status filter
             const statusMatch = (status === 'all') || ((opportunity.status || 'new') === status);
@@ -72,39 +115,83 @@ class OpportunitiesModel extends BaseModel {
             const assignedMatch = (assignedTo === 'all') || ((opportunity.assigned_to || 'Unassigned') === assignedTo);
 
             // Category filter
-            const categoryValue = this.getOpportunityCategory(opportunity);
-            const categoryMatch = (category === 'all') || (categoryValue === category);
+            const categoryMatch = (category === 'all') || this.getOpportunityCategories(opportunity).includes(category);
 
-            return withinRange && statusMatch && assignedMatch && categoryMatch;
+            // Source / campaign filters
+            const sourceMatch = (source === 'all') || ((opportunity.source || 'Unknown') === source);
+            const campaignMatch = (campaign === 'all') || ((opportunity.campaign || 'None') === campaign);
+
+            return withinRange && statusMatch && assignedMatch && categoryMatch && sourceMatch && campaignMatch;
         });
     }
 
+    /**
+     * Narrow opportunities to the drilled-down trend bucket (filters.period), if any
+     */
+    applyPeriodFilter(opportunities) {
+        const period = this.parsePeriodFilter(this.filters.period);
+        if (!period) return opportunities;
+
+        return opportunities.filter(opp => {
+            const ts = parseInt(opp.date_created, 10);
+            return ts >= period.start && ts < period.end;
+        });
+    }
+
+    /**
+     * KPI deltas against the previous period or the same period last year
+     */
+    refreshComparison() {
+        return this.calculateComparison(this.allOpportunities, this.summary);
+    }
+
     /**
      * Calculate summary statistics from opportunities data
+     * @param {Object} window - Comparison window; ages are measured at its end
      */
-    calculateSummary(opportunities) {
+    calculateSummary(opportunities, window = null) {
         if (!opportunities || opportunities.length === 0) {
             return this.getEmptySummary();
         }
 
-        // Calculate total pipeline value
-        const totalValue = opportunities.reduce((sum, opp) => {
-            return sum + (this.parseAmount(opp.amount) || 0);
-        }, 0);
+        // Split value into open and closed pipeline, and weight it by stage probability
+        let totalValue = 0;
+        let openValue = 0;
+        let wonValue = 0;
+        let lostValue = 0;
+        let weightedValue = 0;
+        opportunities.forEach(opp => {
+            const amount = this.parseAmount(opp.amount) || 0;
+            const status = opp.status || 'new';
+            totalValue += amount;
+            weightedValue += amount * this.pipelineSettings.getProbability(status);
+            if (status === 'closed_won') {
+                wonValue += amount;
+            } else if (status === 'closed_lost') {
+                lostValue += amount;
+            } else if (!this.pipelineSettings.isClosed(status)) {
+                openValue += amount;
+            }
+        });
 
         // Count active opportunities (not closed)
         const activeOpps = opportunities.filter(opp => 
-            opp.status && !['closed_lost', 'closed_won'].includes(opp.status)
+            !this.pipelineSettings.isClosed(opp.status || 'new')
         );
 
         // Calculate averages
         const avgDealSize = totalValue / opportunities.length;
+        const ageOffsetDays = this.getWindowOffset(window) / (24 * 60 * 60 * 1000);
         const avgAge = opportunities.reduce((sum, opp) => {
-            return sum + (parseFloat(opp.age) || 0);
+            return sum + Math.max(0, (parseFloat(opp.age) || 0) - ageOffsetDays);
         }, 0) / opportunities.length;
 
         return {
-            totalPipelineValue: totalValue,
+            totalValue,
+            openPipelineValue: openValue,
+            weightedPipelineValue: Math.round(weightedValue),
+            closedWonValue: wonValue,
+            closedLostValue: lostValue,
             activeOpportunities: activeOpps.length,
             averageDealSize: avgDealSize,
             averageDealAge: Math.round(avgAge),
@@ -143,7 +230,11 @@ class OpportunitiesModel extends BaseModel {
      */
     getEmptySummary() {
         return {
-            totalPipelineValue: 0,
+            totalValue: 0,
+            openPipelineValue: 0,
+            weightedPipelineValue: 0,
+            closedWonValue: 0,
+            closedLostValue: 0,
             activeOpportunities: 0,
             averageDealSize: 0,
             averageDealAge: 0,
@@ -165,28 +256,193 @@ class OpportunitiesModel extends BaseModel {
     }
 
     /**
-     * Get opportunities by category
+     * Get raw and probability-weighted value per status
+     */
+    getValueByStatus() {
+        const valueByStatus = {};
+        this.opportunities.forEach(opp => {
+            const status = opp.status || 'new';
+            if (!valueByStatus[status]) {
+                valueByStatus[status] = {
+                    value: 0,
+                    weightedValue: 0,
+                    probability: this.pipelineSettings.getProbability(status)
+                };
+            }
+            const amount = this.parseAmount(opp.amount);
+            valueByStatus[status].value += amount;
+            valueByStatus[status].weightedValue += amount * valueByStatus[status].probability;
+        });
+        return valueByStatus;
+    }
+
+    /**
+     * Count opportunities per line-item category (a deal counts once in each of its categories)
      */
     getOpportunitiesByCategory() {
         const categoryCount = {};
         this.opportunities.forEach(opp => {
-            const category = this.getOpportunityCategory(opp);
-            categoryCount[category] = (categoryCount[category] || 0) + 1;
+            this.getOpportunityCategories(opp).forEach(category => {
+                categoryCount[category] = (categoryCount[category] || 0) + 1;
+            });
         });
         return categoryCount;
     }
 
     /**
-     * Determine opportunity category based on products/services
+     * Product and service line items of an opportunity, tagged with their type
      */
-    getOpportunityCategory(opportunity) {
-        if (opportunity.product_details && opportunity.product_details.length > 0) {
-            return 'Products';
-        }
-        if (opportunity.services_details && opportunity.services_details.length > 0) {
-            return 'Services';
-        }
-        return 'General';
+    getLineItems(opportunity) {
+        const products = (opportunity.product_details || []).map(item => ({ ...item, type: 'product' }));
+        const services = (opportunity.services_details || []).map(item => ({ ...item, type: 'service' }));
+        return [...products, ...services];
+    }
+
+    /**
+     * Distinct line-item categories of an opportunity ('General' when it has none)
+     */
+    getOpportunityCategories(opportunity) {
+        const categories = new Set(this.getLineItems(opportunity).map(item => item.category || 'General'));
+        return categories.size ? Array.from(categories) : ['General'];
+    }
+
+    /**
+     * Category filter options from all loaded opportunities
+     */
+    getCategoryOptions() {
+        const categories = new Set();
+        this.allOpportunities.forEach(opp => {
+            this.getOpportunityCategories(opp).forEach(category => categories.add(category));
+        });
+        return Array.from(categories).sort();
+    }
+
+    /**
+     * Value and deal count per product/service name and per category,
+     * service attach rate and the most common bundles
+     */
+    calculateProductMix(opportunities) {
+        const byItem = {};
+        const byCategory = {};
+        const bundles = {};
+        let productDeals = 0;
+        let attachedDeals = 0;
+
+        opportunities.forEach(opp => {
+            const items = this.getLineItems(opp);
+            const itemNames = new Set();
+            const categories = new Set();
+
+            items.forEach(item => {
+                const name = item.name || 'Unnamed';
+                const category = item.category || 'General';
+                const value = this.parseAmount(item.total_price ?? (item.unit_price || 0) * (item.quantity || 1));
+
+                if (!byItem[name]) {
+                    byItem[name] = { name, category, type: item.type, value: 0, deals: 0, quantity: 0 };
+                }
+                byItem[name].value += value;
+                byItem[name].quantity += parseFloat(item.quantity) || 0;
+                if (!itemNames.has(name)) byItem[name].deals++;
+                itemNames.add(name);
+
+                if (!byCategory[category]) {
+                    byCategory[category] = { category, value: 0, deals: 0 };
+                }
+                byCategory[category].value += value;
+                if (!categories.has(category)) byCategory[category].deals++;
+                categories.add(category);
+            });
+
+            const hasProducts = items.some(item => item.type === 'product');
+            const hasServices = items.some(item => item.type === 'service');
+            if (hasProducts) {
+                productDeals++;
+                if (hasServices) attachedDeals++;
+            }
+
+            if (itemNames.size > 1) {
+                const key = Array.from(itemNames).sort().join(' + ');
+                if (!bundles[key]) bundles[key] = { items: key, deals: 0, value: 0 };
+                bundles[key].deals++;
+                bundles[key].value += this.parseAmount(opp.amount);
+            }
+        });
+
+        const byValue = (a, b) => b.value - a.value;
+        return {
+            byItem: Object.values(byItem).sort(byValue),
+            byCategory: Object.values(byCategory).sort(byValue),
+            productDeals,
+            attachedDeals,
+            // Share of deals with products that also include at least one service
+            attachRate: productDeals > 0 ? Math.round((attachedDeals / productDeals) * 100) : 0,
+            topBundles: Object.values(bundles)
+                .sort((a, b) => b.deals - a.deals || b.value - a.value)
+                .slice(0, 5)
+        };
+    }
+
+    /**
+     * Distinct values of a field (e.g. `source`, `campaign`) across all loaded opportunities
+     * @param {string} fallback - Value used for records without the field
+     */
+    getFieldOptions(field, fallback) {
+        const values = new Set(this.allOpportunities.map(opp => opp[field] || fallback));
+        return Array.from(values).sort();
+    }
+
+    /**
+     * Deals, pipeline value and win rate per source and per campaign,
+     * plus ROI for campaigns with a cost in Config.ATTRIBUTION.campaignCosts
+     */
+    calculateAttribution(opportunities) {
+        const group = (field, fallback) => {
+            const rows = {};
+            opportunities.forEach(opp => {
+                const name = opp[field] || fallback;
+                const status = opp.status || 'new';
+                const amount = this.parseAmount(opp.amount);
+                if (!rows[name]) {
+                    rows[name] = { name, source: opp.source || 'Unknown', deals: 0, value: 0, openValue: 0, wonValue: 0, won: 0, lost: 0, winRate: 0 };
+                }
+                const row = rows[name];
+                row.deals++;
+                row.value += amount;
+                if (status === 'closed_won') {
+                    row.won++;
+                    row.wonValue += amount;
+                } else if (status === 'closed_lost') {
+                    row.lost++;
+                } else {
+                    row.openValue += amount;
+                }
+            });
+            return Object.values(rows)
+                .map(row => ({ ...row, winRate: (row.won + row.lost) > 0 ? Math.round((row.won / (row.won + row.lost)) * 100) : 0 }))
+                .sort((a, b) => b.value - a.value);
+        };
+
+        const bySource = group('source', 'Unknown');
+        const byCampaign = group('campaign', 'None');
+
+        const costs = Config?.ATTRIBUTION?.campaignCosts || {};
+        const roi = byCampaign
+            .filter(row => parseFloat(costs[row.name]) > 0)
+            .map(row => {
+                const cost = parseFloat(costs[row.name]);
+                return {
+                    campaign: row.name,
+                    cost,
+                    wonValue: row.wonValue,
+                    won: row.won,
+                    roi: Math.round(((row.wonValue - cost) / cost) * 100),
+                    costPerWin: row.won > 0 ? cost / row.won : null
+                };
+            })
+            .sort((a, b) => b.roi - a.roi);
+
+        return { bySource, byCampaign, roi };
     }
 
     /**
@@ -231,6 +487,11 @@ class OpportunitiesModel extends BaseModel {
     getChartData() {
         return {
             byStatus: this.getOpportunitiesByStatus(),
+            valueByStatus: this.getValueByStatus(),
+            funnel: this.funnel,
+            forecast: this.forecast,
+            productMix: this.productMix,
+            attribution: this.attribution,
             byCategory: this.getOpportunitiesByCategory(),
             byAssignee: this.getOpportunitiesByAssignee(),
             trend: this.generateTrendData()
@@ -238,16 +499,345 @@ class OpportunitiesModel extends BaseModel {
     }
 
     /**
-     * Generate mock trend data (in real app, this would come from API)
+     * Make sure every opportunity has a status history. Records without a
+     * `status_history` field are looked up on the batch history endpoint, or one
+     * by one (a few at a time) when it isn't available. Cached by id until the
+     * record's status changes.
+     */
+    async loadStatusHistories(opportunities) {
+        const missing = opportunities.filter(opp =>
+            !Array.isArray(opp.status_history) && opp.opportunity_id && !this.getCachedHistory(opp)
+        );
+        if (missing.length === 0) return;
+
+        const { historyBatchSize = 50, historyConcurrency = 4 } = Config?.API || {};
+        const remaining = new Map(missing.map(opp => [opp.opportunity_id, opp]));
+        try {
+            const endpoint = Config?.API?.endpoints?.opportunityHistories || '/opportunities/history';
+            for (let i = 0; i < missing.length; i += historyBatchSize) {
+                const batch = missing.slice(i, i + historyBatchSize);
+                const response = await this.apiService.get(endpoint, { ids: batch.map(opp => opp.opportunity_id).join(',') });
+                batch.forEach(opp => {
+                    const history = response?.histories?.[opp.opportunity_id];
+                    this.cacheHistory(opp, Array.isArray(history) ? history : []);
+                    remaining.delete(opp.opportunity_id);
+                });
+            }
+            return;
+        } catch (error) {
+            if (error.type === 'CANCELLED') throw error;
+            console.warn('Batch status history unavailable, loading per opportunity:', error);
+        }
+
+        const queue = Array.from(remaining.values());
+        const template = Config?.API?.endpoints?.opportunityHistory || '/opportunities/{id}/history';
+        const worker = async () => {
+            while (queue.length > 0) {
+                const opp = queue.shift();
+                try {
+                    const endpoint = template.replace('{id}', encodeURIComponent(opp.opportunity_id));
+                    const response = await this.apiService.get(endpoint);
+                    this.cacheHistory(opp, Array.isArray(response?.history) ? response.history : []);
+                } catch (error) {
+                    if (error.type === 'CANCELLED') throw error;
+                    console.warn(`Status history unavailable for ${opp.opportunity_id}:`, error);
+                    this.cacheHistory(opp, []);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(historyConcurrency, queue.length) }, worker));
+    }
+
+    /**
+     * Remember a fetched history together with the status it was fetched for
+     */
+    cacheHistory(opportunity, history) {
+        this.historyCache.set(opportunity.opportunity_id, { status: opportunity.status || 'new', history });
+    }
+
+    /**
+     * Cached history of an opportunity, or null when missing or stale
+     * (the deal's status changed since it was fetched)
+     */
+    getCachedHistory(opportunity) {
+        const cached = this.historyCache.get(opportunity.opportunity_id);
+        return cached && cached.status === (opportunity.status || 'new') ? cached.history : null;
+    }
+
+    /**
+     * Status changes for an opportunity, oldest first: [{ status, changed_at }]
+     * Falls back to the current status since creation when no history exists.
+     */
+    getStatusHistory(opportunity) {
+        const history = Array.isArray(opportunity.status_history)
+            ? opportunity.status_history
+            : (this.getCachedHistory(opportunity) || []);
+
+        const entries = history
+            .map(entry => ({ status: entry.status, changedAt: parseInt(entry.changed_at, 10) }))
+            .filter(entry => entry.status && !isNaN(entry.changedAt))
+            .sort((a, b) => a.changedAt - b.changedAt);
+
+        if (entries.length > 0) return entries;
+        return [{ status: opportunity.status || 'new', changedAt: parseInt(opportunity.date_created, 10) }];
+    }
+
+    /**
+     * Funnel counts and stage-to-stage conversion from status histories.
+     * A deal that skips a stage (e.g. new straight to closed_won) counts as having passed through it.
+     */
+    calculateFunnel(opportunities) {
+        const stages = Config?.PIPELINE?.funnelStages || ['new', 'progress', 'closed_won'];
+        const lostStatus = 'closed_lost';
+        const day = 24 * 60 * 60 * 1000;
+
+        const rows = stages.map(status => ({ status, entered: 0, advanced: 0, lost: 0, open: 0, durations: [] }));
+
+        opportunities.forEach(opp => {
+            const history = this.getStatusHistory(opp);
+            const statuses = history.map(entry => entry.status);
+            const furthest = Math.max(...statuses.map(status => stages.indexOf(status)));
+            const finalStatus = statuses[statuses.length - 1];
+
+            // Every deal enters the first stage
+            rows.forEach((row, index) => {
+                if (index > 0 && furthest < index) return;
+                row.entered++;
+                if (furthest > index) {
+                    row.advanced++;
+                } else if (finalStatus === lostStatus) {
+                    row.lost++;
+                } else if (index < stages.length - 1) {
+                    row.open++;
+                }
+            });
+
+            // Time spent in each stage that was left again
+            history.forEach((entry, i) => {
+                const next = history[i + 1];
+                const row = rows.find(r => r.status === entry.status);
+                if (row && next) {
+                    row.durations.push((next.changedAt - entry.changedAt) / day);
+                }
+            });
+        });
+
+        const last = rows.length - 1;
+        return rows.map((row, index) => ({
+            status: row.status,
+            entered: row.entered,
+            advanced: row.advanced,
+            lost: row.lost,
+            open: row.open,
+            // Share of deals that entered this stage and reached the next one
+            conversionRate: index < last && row.entered > 0 ? Math.round((row.advanced / row.entered) * 100) : null,
+            medianDays: this.median(row.durations)
+        }));
+    }
+
+    /**
+     * Median of a list of numbers (null when empty), rounded to one decimal
+     */
+    median(values) {
+        if (!values.length) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        const value = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Project closed revenue for the next months from open deals.
+     * Each open deal gets a win probability from the historical win rates of its
+     * assignee and source, and an expected close date from the median won sales
+     * cycle. Commit is the expected value; best / worst add or subtract z·σ.
+     * Uses all loaded deals that match the non-date filters, since open deals
+     * created before the selected range still close in the coming months.
+     */
+    calculateForecast() {
+        const cfg = Config?.FORECAST || {};
+        const horizons = cfg.horizons || [1, 2, 3];
+        const z = cfg.bandZ ?? 1.28;
+        const day = 24 * 60 * 60 * 1000;
+        const now = Date.now();
+
+        const deals = this.applyFilters(this.allOpportunities, { start: -Infinity, end: Infinity, comparison: false });
+        const rates = this.getHistoricalWinRates(deals);
+        const cycleDays = this.getMedianSalesCycle(deals);
+        const staleAfter = cycleDays * (cfg.staleCycleMultiple || 2);
+
+        const open = deals.filter(opp => !this.pipelineSettings.isClosed(opp.status || 'new'));
+        const projected = open.map(opp => {
+            const created = parseInt(opp.date_created, 10);
+            const ageDays = isNaN(created) ? (parseFloat(opp.age) || 0) : (now - created) / day;
+            const assigneeRate = rates.byAssignee[opp.assigned_to || 'Unassigned']?.rate ?? rates.overall;
+            const sourceRate = rates.bySource[opp.source || 'Unknown']?.rate ?? rates.overall;
+            let probability = (assigneeRate + sourceRate) / 2;
+            if (ageDays > staleAfter) probability /= 2;
+
+            return {
+                amount: this.parseAmount(opp.amount),
+                probability,
+                // Deals past the usual cycle are expected to close in the first month
+                closesInDays: Math.max(0, cycleDays - ageDays)
+            };
+        });
+
+        const bands = horizons.map(months => {
+            const inHorizon = projected.filter(deal => deal.closesInDays <= months * 30);
+            const expected = inHorizon.reduce((sum, deal) => sum + deal.amount * deal.probability, 0);
+            const variance = inHorizon.reduce((sum, deal) => sum + deal.amount ** 2 * deal.probability * (1 - deal.probability), 0);
+            const spread = z * Math.sqrt(variance);
+            return {
+                months,
+                deals: inHorizon.length,
+                pipeline: inHorizon.reduce((sum, deal) => sum + deal.amount, 0),
+                worst: Math.round(Math.max(0, expected - spread)),
+                commit: Math.round(expected),
+                best: Math.round(expected + spread)
+            };
+        });
+
+        return {
+            bands,
+            overallWinRate: Math.round(rates.overall * 100),
+            closedDeals: rates.closedDeals,
+            medianCycleDays: Math.round(cycleDays),
+            openDeals: open.length
+        };
+    }
+
+    /**
+     * Win rates per assignee and per source from closed deals, smoothed toward
+     * the overall rate so small samples don't swing to 0% or 100%
+     */
+    getHistoricalWinRates(deals) {
+        const closed = deals.filter(opp => ['closed_won', 'closed_lost'].includes(opp.status));
+        const overall = closed.length ? this.calculateWinRate(closed) / 100 : 0.5;
+        const prior = Config?.FORECAST?.priorWeight ?? 5;
+
+        const rateBy = (keyFn) => {
+            const groups = {};
+            closed.forEach(opp => {
+                const key = keyFn(opp);
+                groups[key] = groups[key] || { won: 0, closed: 0 };
+                groups[key].closed++;
+                if (opp.status === 'closed_won') groups[key].won++;
+            });
+            Object.values(groups).forEach(group => {
+                group.rate = (group.won + prior * overall) / (group.closed + prior);
+            });
+            return groups;
+        };
+
+        return {
+            overall,
+            closedDeals: closed.length,
+            byAssignee: rateBy(opp => opp.assigned_to || 'Unassigned'),
+            bySource: rateBy(opp => opp.source || 'Unknown')
+        };
+    }
+
+    /**
+     * Median days from creation to closed_won (30 when there is no history)
+     */
+    getMedianSalesCycle(deals) {
+        const day = 24 * 60 * 60 * 1000;
+        const cycles = deals
+            .filter(opp => opp.status === 'closed_won')
+            .map(opp => {
+                const won = this.getStatusHistory(opp).find(entry => entry.status === 'closed_won');
+                const created = parseInt(opp.date_created, 10);
+                return won && !isNaN(created) ? (won.changedAt - created) / day : null;
+            })
+            .filter(days => days !== null && days > 0);
+
+        return this.median(cycles) ?? 30;
+    }
+
+    /**
+     * Pipeline trend for the active filters, by period or cumulative
      */
     generateTrendData() {
-        // This would normally come from historical API data
+        const trend = this.serverTrend || this.buildTrend(this.opportunities);
+        if (this.filters.trendMode !== 'cumulative') {
+            return { ...trend, mode: 'period' };
+        }
+
+        let value = 0;
+        let count = 0;
         return {
-            labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct'],
-            values: [450000, 520000, 480000, 610000, 580000, 630000, 590000, 680000, 720000, 631640],
-            counts: [8, 10, 7, 12, 9, 11, 8, 14, 13, 9]
+            ...trend,
+            values: trend.values.map(v => (value += v)),
+            counts: trend.counts.map(c => (count += c)),
+            mode: 'cumulative'
         };
     }
+
+    /**
+     * Bucket the loaded opportunities by creation date
+     */
+    buildTrend(opportunities) {
+        const rangeDays = parseInt(this.filters.dateRange || '90', 10);
+        return this.groupByPeriod(opportunities, {
+            dateField: 'date_created',
+            valueFn: opp => this.parseAmount(opp.amount),
+            granularity: this.getTrendGranularity(),
+            startTs: Date.now() - rangeDays * 24 * 60 * 60 * 1000
+        });
+    }
+
+    /**
+     * Resolve the 'auto' granularity against the selected date range
+     */
+    getTrendGranularity() {
+        const { granularity, dateRange } = this.filters;
+        return granularity && granularity !== 'auto'
+            ? granularity
+            : this.getAutoGranularity(dateRange);
+    }
+
+    /**
+     * Fetch the trend from the server when DASHBOARDS.opportunities.trendSource is 'server'.
+     * Expects { periods: [{ start, value, count }] }; returns null to fall back to client-side bucketing.
+     */
+    async fetchServerTrend() {
+        if (Config?.DASHBOARDS?.opportunities?.trendSource !== 'server') return null;
+
+        const granularity = this.getTrendGranularity();
+        try {
+            const endpoint = Config.API.endpoints.opportunityTrend || '/opportunities/trend';
+            const response = await this.apiService.get(endpoint, { ...this.filters, granularity });
+            const periods = Array.isArray(response?.periods) ? response.periods : null;
+            if (!periods) return null;
+
+            return {
+                labels: periods.map(p => this.formatPeriodLabel(p.start, granularity)),
+                values: periods.map(p => this.parseAmount(p.value)),
+                counts: periods.map(p => parseInt(p.count, 10) || 0),
+                starts: periods.map(p => p.start),
+                granularity
+            };
+        } catch (error) {
+            if (error.type === 'CANCELLED') throw error;
+            console.warn('Opportunity trend API failed, computing trend locally:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Change trend granularity or mode without reloading the opportunities
+     */
+    async setTrendOptions({ granularity, trendMode } = {}) {
+        const granularityChanged = granularity !== undefined && granularity !== this.filters.granularity;
+        if (granularity !== undefined) this.filters.granularity = granularity;
+        if (trendMode !== undefined) this.filters.trendMode = trendMode;
+
+        if (granularityChanged) {
+            this.serverTrend = await this.fetchServerTrend();
+        }
+        return this.generateTrendData();
+    }
 }
 
 export default OpportunitiesModel;
\ No newline at end of file
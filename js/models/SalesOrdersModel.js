@@ -9,11 +9,14 @@ class SalesOrdersModel extends BaseModel {
     constructor(apiService) {
         super(apiService);
         this.summary = null;
+        this.allOrders = [];
         this.orders = [];
         this.filters = {
             dateRange: '90',
             status: 'all',
-            category: 'all'
+            assignedTo: 'all',
+            customer: 'all',
+            compareTo: 'previous'
         };
     }
 
@@ -24,22 +27,26 @@ class SalesOrdersModel extends BaseModel {
         this.filters = { ...this.filters, ...filters };
         try {
             const data = await this.apiService.get('/sales-orders', this.filters);
-            this.orders = (data && data.orders) ? data.orders : [];
-            if (!this.orders.length && data && Array.isArray(data)) {
+            this.allOrders = (data && data.orders) ? data.orders : [];
+            if (!this.allOrders.length && data && Array.isArray(data)) {
                 // Some APIs might return array directly
-                this.orders = data;
+                this.allOrders = data;
             }
         } catch (e) {
+            if (e.type === 'CANCELLED') throw e;
             const mock = this.generateMockData();
-            this.orders = mock.orders;
+            this.allOrders = mock.orders;
         }
 
+        this.orders = this.applyFilters(this.allOrders);
         this.summary = this.calculateSummary(this.orders);
         
         this.data = {
             orders: this.orders,
             summary: this.summary,
+            comparison: this.refreshComparison(),
             filters: this.filters,
+            options: this.getFilterOptions(this.allOrders),
             lastUpdated: new Date().toISOString()
         };
         
@@ -88,6 +95,42 @@ class SalesOrdersModel extends BaseModel {
         };
     }
 
+    /**
+     * Apply current filters to a list of orders
+     * @param {Object} window - Date window, defaults to the selected range ending now
+     */
+    applyFilters(orders, window = this.getDateWindow(this.filters.dateRange)) {
+        const { status, assignedTo, customer } = this.filters;
+
+        return orders.filter(order => {
+            const withinRange = this.isInWindow(order.date_created, window);
+            const statusMatch = (status === 'all') || (order.status === status);
+            const assignedMatch = (assignedTo === 'all') || ((order.assigned_to || 'Unassigned') === assignedTo);
+            const customerMatch = (customer === 'all') || (order.customer_name === customer);
+
+            return withinRange && statusMatch && assignedMatch && customerMatch;
+        });
+    }
+
+    /**
+     * Get filter select options from the unfiltered orders
+     */
+    getFilterOptions(orders) {
+        const unique = (key) => Array.from(new Set(orders.map(o => o[key]).filter(Boolean))).sort();
+        return {
+            statuses: unique('status'),
+            assignees: unique('assigned_to'),
+            customers: unique('customer_name')
+        };
+    }
+
+    /**
+     * KPI deltas against the previous period or the same period last year
+     */
+    refreshComparison() {
+        return this.calculateComparison(this.allOrders, this.summary);
+    }
+
     /**
      * Calculate summary statistics
      */
@@ -122,6 +165,13 @@ class SalesOrdersModel extends BaseModel {
         };
     }
 
+    /**
+     * Get current filters
+     */
+    getFilters() {
+        return { ...this.filters };
+    }
+
     /**
      * Update filters and refresh data
      */
@@ -129,6 +179,58 @@ class SalesOrdersModel extends BaseModel {
         this.filters = { ...this.filters, ...newFilters };
         return await this.fetchSalesOrders();
     }
+
+    /**
+     * Get sales orders data for charts
+     */
+    getChartData() {
+        return {
+            trend: this.getOrderTrend(),
+            byStatus: this.getOrdersByStatus(),
+            byAssignee: this.getOrdersByAssignee()
+        };
+    }
+
+    /**
+     * Order value and count per period across the selected date range
+     */
+    getOrderTrend() {
+        const rangeDays = parseInt(this.filters.dateRange || '90', 10);
+        return this.groupByPeriod(this.orders, {
+            dateField: 'date_created',
+            valueFn: order => order.total_order_value || 0,
+            granularity: this.getAutoGranularity(rangeDays),
+            startTs: Date.now() - rangeDays * 24 * 60 * 60 * 1000
+        });
+    }
+
+    /**
+     * Count orders per status
+     */
+    getOrdersByStatus() {
+        const statusCount = {};
+        this.orders.forEach(order => {
+            const status = order.status || 'unknown';
+            statusCount[status] = (statusCount[status] || 0) + 1;
+        });
+        return statusCount;
+    }
+
+    /**
+     * Order count and value per assignee
+     */
+    getOrdersByAssignee() {
+        const assigneeData = {};
+        this.orders.forEach(order => {
+            const assignee = order.assigned_to || 'Unassigned';
+            if (!assigneeData[assignee]) {
+                assigneeData[assignee] = { count: 0, totalValue: 0 };
+            }
+            assigneeData[assignee].count++;
+            assigneeData[assignee].totalValue += order.total_order_value || 0;
+        });
+        return assigneeData;
+    }
 }
 
 export default SalesOrdersModel;
\ No newline at end of file
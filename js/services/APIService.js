@@ -8,8 +8,12 @@ class ApiService {
         this.baseURL = baseURL;
         this.token = localStorage.getItem('crm_auth_token');
         this.pendingRequests = new Map();
+        this.inflightGets = new Map();
         this.requestCounter = 0;
+        this.dedupedRequests = 0;
+        this.refreshPromise = null;
         this.mockMode = this.shouldUseMockMode(baseURL);
+        this.mockPdfJobs = new Map();
     }
 
     /**
@@ -35,7 +39,13 @@ class ApiService {
      * @returns {Promise} - Resolves with parsed JSON response
      */
     async request(endpoint, options = {}) {
-        const requestId = this.generateRequestId();
+        const requestId = options.requestId || this.generateRequestId();
+
+        // Queue behind an in-progress token refresh so the new token is used
+        if (this.refreshPromise && !this.isAuthEndpoint(endpoint)) {
+            await this.waitForTokenRefresh(requestId, endpoint, options);
+        }
+
         const url = `${this.baseURL}${endpoint}`;
         
         // Default headers
@@ -46,8 +56,9 @@ class ApiService {
         };
 
         // Add authorization header if token exists
-        if (this.token) {
-            headers['Authorization'] = `Bearer ${this.token}`;
+        const tokenUsed = this.token;
+        if (tokenUsed) {
+            headers['Authorization'] = `Bearer ${tokenUsed}`;
         }
 
         // Add company identification
@@ -61,20 +72,26 @@ class ApiService {
             headers
         };
 
-        // Remove headers from options to avoid duplication
+        // Remove headers and internal options to avoid passing them to fetch
         delete config.headers;
+        delete config.requestId;
+        delete config.retryCount;
+        delete config.authRetried;
+        delete config.persistent;
+
+        // Register abort controller so the request can be cancelled (or timed out)
+        const entry = this.registerRequest(requestId, endpoint, config.method, { persistent: options.persistent });
+        let timeoutId = null;
 
         try {
             console.log(`API Request [${requestId}]: ${config.method} ${url}`);
 
-            // Create abort controller for timeout
-            const abortController = new AbortController();
-            const timeoutId = setTimeout(() => abortController.abort(), config.timeout);
+            timeoutId = setTimeout(() => entry.controller.abort(), config.timeout);
             
             const response = await fetch(url, {
                 ...config,
                 headers: headers,
-                signal: abortController.signal
+                signal: entry.controller.signal
             });
 
             clearTimeout(timeoutId);
@@ -91,18 +108,85 @@ class ApiService {
             return data;
 
         } catch (error) {
+            // Cancelled requests are never retried
+            if (entry.cancelled) {
+                console.log(`API Request [${requestId}] cancelled`);
+                throw this.createCancelError(requestId, endpoint);
+            }
+
             console.error(`API Request [${requestId}] failed:`, error);
+
+            // Expired token: refresh once and replay the request
+            if (error.type === 'AUTH_ERROR' && !options.authRetried && !this.isAuthEndpoint(endpoint)) {
+                return await this.replayAfterTokenRefresh(endpoint, options, requestId, tokenUsed, error);
+            }
             
-            // Retry logic for certain error types
+            // Retry logic for certain error types; awaited so the request stays
+            // registered (and cancellable) during the backoff
             if (this.shouldRetry(error) && (!options.retryCount || options.retryCount < 3)) {
                 console.log(`Retrying request [${requestId}]...`);
-                return this.retryRequest(endpoint, options, requestId, error);
+                return await this.retryRequest(endpoint, options, requestId, error);
             }
 
             throw this.normalizeError(error, requestId);
+        } finally {
+            clearTimeout(timeoutId);
+            if (this.pendingRequests.get(requestId) === entry) {
+                this.pendingRequests.delete(requestId);
+            }
+        }
+    }
+
+    /**
+     * Register an in-flight request so it can be cancelled later
+     */
+    registerRequest(requestId, endpoint, method = 'GET', { persistent = false } = {}) {
+        const entry = {
+            id: requestId,
+            endpoint,
+            method,
+            controller: new AbortController(),
+            cancelled: false,
+            // Survives cancelAllRequests() on navigation: token refreshes and
+            // requests made with options.persistent (PDF job downloads)
+            persistent: persistent || this.isAuthEndpoint(endpoint),
+            startedAt: Date.now()
+        };
+        this.pendingRequests.set(requestId, entry);
+        return entry;
+    }
+
+    /**
+     * Wait for the running token refresh; the request is registered meanwhile
+     * so cancelling it does not have to wait for the refresh
+     */
+    async waitForTokenRefresh(requestId, endpoint, { method = 'GET', persistent = false } = {}) {
+        const entry = this.registerRequest(requestId, endpoint, method, { persistent });
+        const aborted = new Promise((_, reject) => {
+            entry.controller.signal.addEventListener('abort', () => {
+                reject(this.createCancelError(requestId, endpoint));
+            }, { once: true });
+        });
+
+        try {
+            await Promise.race([this.refreshPromise, aborted]);
+        } finally {
+            if (this.pendingRequests.get(requestId) === entry) {
+                this.pendingRequests.delete(requestId);
+            }
         }
     }
 
+    /**
+     * Create the error thrown by a cancelled request
+     */
+    createCancelError(requestId, endpoint) {
+        const error = new Error(`Request cancelled: ${endpoint}`);
+        error.type = 'CANCELLED';
+        error.requestId = requestId;
+        return error;
+    }
+
     /**
      * Handle HTTP error responses
      */
@@ -128,8 +212,8 @@ class ApiService {
         // Handle specific status codes
         switch (status) {
             case 401:
+                // Token refresh and replay are handled by request()
                 error.type = 'AUTH_ERROR';
-                this.handleAuthError();
                 break;
             case 403:
                 error.type = 'FORBIDDEN';
@@ -196,14 +280,96 @@ class ApiService {
         
         console.log(`Retry ${retryCount} for request [${requestId}] after ${delay}ms`);
 
-        await new Promise(resolve => setTimeout(resolve, delay));
+        // Cancelling the request ends the backoff early
+        const entry = this.pendingRequests.get(requestId);
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            entry?.controller.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+
+        // The request may have been cancelled while waiting for the backoff
+        if (entry?.cancelled) {
+            throw this.createCancelError(requestId, endpoint);
+        }
 
         return this.request(endpoint, {
             ...options,
+            requestId,
             retryCount: retryCount
         });
     }
 
+    /**
+     * Refresh the token (once for all concurrent callers) and replay a request
+     */
+    async replayAfterTokenRefresh(endpoint, options, requestId, failedToken, originalError) {
+        // Skip the refresh if another request already replaced the failed token
+        if (!this.token || this.token === failedToken) {
+            try {
+                await this.refreshAuthToken();
+            } catch (refreshError) {
+                if (refreshError.type === 'CANCELLED') {
+                    throw this.createCancelError(requestId, endpoint);
+                }
+                throw originalError;
+            }
+        }
+
+        // The request may have been cancelled while the token was refreshing
+        if (this.pendingRequests.get(requestId)?.cancelled) {
+            throw this.createCancelError(requestId, endpoint);
+        }
+
+        console.log(`Replaying request [${requestId}] with refreshed token`);
+        return this.request(endpoint, {
+            ...options,
+            requestId,
+            authRetried: true
+        });
+    }
+
+    /**
+     * Share a single token refresh between all requests that hit a 401
+     */
+    refreshAuthToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.refreshToken()
+                .then(response => {
+                    if (!response || !response.token) {
+                        throw new Error('Token refresh returned no token');
+                    }
+                    return response;
+                })
+                .catch(error => {
+                    // Aborted (e.g. on sign-out): the session was not rejected
+                    if (error.type === 'CANCELLED') throw error;
+
+                    console.warn('Token refresh failed:', error);
+                    // Only now is the session really lost
+                    this.handleAuthError();
+                    const authError = new Error('Session expired');
+                    authError.type = 'AUTH_ERROR';
+                    authError.status = 401;
+                    authError.originalError = error;
+                    throw authError;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Auth endpoints never trigger a token refresh themselves
+     */
+    isAuthEndpoint(endpoint) {
+        return endpoint.startsWith('/auth/');
+    }
+
     /**
      * Normalize error object
      */
@@ -272,12 +438,27 @@ class ApiService {
      * GET request
      */
     async get(endpoint, params = {}) {
-        if (this.mockMode) {
-            return this.mockGet(endpoint, params);
-        }
         const queryString = new URLSearchParams(params).toString();
         const url = queryString ? `${endpoint}?${queryString}` : endpoint;
-        return this.request(url, { method: 'GET' });
+
+        // Identical concurrent GETs share one in-flight promise
+        const existing = this.inflightGets.get(url);
+        if (existing) {
+            this.dedupedRequests++;
+            console.log(`API Request deduplicated: GET ${url}`);
+            return existing;
+        }
+
+        const promise = this.mockMode
+            ? this.runMockRequest(url, 'GET', () => this.mockGet(endpoint, params))
+            : this.request(url, { method: 'GET' });
+
+        this.inflightGets.set(url, promise);
+        try {
+            return await promise;
+        } finally {
+            this.inflightGets.delete(url);
+        }
     }
 
     /**
@@ -285,7 +466,7 @@ class ApiService {
      */
     async post(endpoint, data) {
         if (this.mockMode) {
-            return this.mockPost(endpoint, data);
+            return this.runMockRequest(endpoint, 'POST', () => this.mockPost(endpoint, data));
         }
         return this.request(endpoint, {
             method: 'POST',
@@ -303,6 +484,10 @@ class ApiService {
                 localStorage.setItem('crm_user_preferences', JSON.stringify(data));
                 return { success: true, preferences: data };
             }
+            if (endpoint === '/settings/pipeline') {
+                localStorage.setItem('crm_pipeline_settings', JSON.stringify(data));
+                return { success: true, ...data };
+            }
         }
         return this.request(endpoint, {
             method: 'PUT',
@@ -350,6 +535,8 @@ class ApiService {
         return this.get('/sales-orders', {
             date_range: filters.dateRange || '90',
             status: filters.status || 'all',
+            assigned_to: filters.assignedTo || 'all',
+            customer: filters.customer || 'all',
             page: filters.page || 1,
             limit: filters.limit || 100
         });
@@ -396,7 +583,8 @@ class ApiService {
             const blob = new Blob([`Mock PDF ${pdfId}`], { type: 'application/pdf' });
             return this.handleFileDownload(blob, `dashboard-report-${pdfId}.pdf`);
         }
-        const response = await this.request(`/pdf/download/${pdfId}`);
+        // Export jobs outlive dashboard navigation, so their download does too
+        const response = await this.request(`/pdf/download/${pdfId}`, { persistent: true });
         
         // Handle blob response for file download
         if (response instanceof Blob) {
@@ -540,11 +728,47 @@ class ApiService {
 
     /**
      * Cancel pending request by ID
+     * @returns {boolean} - Whether a pending request was found and aborted
      */
     cancelRequest(requestId) {
-        // In a real implementation, we might use AbortController
+        const entry = this.pendingRequests.get(requestId);
+        if (!entry || entry.cancelled) return false;
+
         console.log(`Canceling request: ${requestId}`);
-        // This would need to be implemented with actual abort logic
+        entry.cancelled = true;
+        entry.controller.abort();
+        return true;
+    }
+
+    /**
+     * Cancel all pending requests for an endpoint (query string is ignored)
+     * @returns {number} - Number of requests cancelled
+     */
+    cancelRequestsByEndpoint(endpoint) {
+        const path = endpoint.split('?')[0];
+        let cancelled = 0;
+        Array.from(this.pendingRequests.values()).forEach(entry => {
+            if (entry.endpoint.split('?')[0] === path && this.cancelRequest(entry.id)) {
+                cancelled++;
+            }
+        });
+        return cancelled;
+    }
+
+    /**
+     * Cancel every pending request (e.g. when a dashboard is torn down).
+     * Persistent requests such as a token refresh are kept unless includePersistent
+     * is set (sign-out).
+     * @returns {number} - Number of requests cancelled
+     */
+    cancelAllRequests({ includePersistent = false } = {}) {
+        let cancelled = 0;
+        Array.from(this.pendingRequests.values()).forEach(entry => {
+            if ((includePersistent || !entry.persistent) && this.cancelRequest(entry.id)) {
+                cancelled++;
+            }
+        });
+        return cancelled;
     }
 
     /**
@@ -553,7 +777,8 @@ class ApiService {
     getStats() {
         return {
             totalRequests: this.requestCounter,
-            pendingRequests: this.pendingRequests.size
+            pendingRequests: this.pendingRequests.size,
+            dedupedRequests: this.dedupedRequests
         };
     }
 
@@ -578,148 +803,289 @@ class ApiService {
     }
 
     /**
-     * Mock data for development/demo purposes
+     * Mock data for development/demo purposes (three fixed opportunities plus
+     * two years of generated history so trends have something to show)
      */
     async getMockOpportunities() {
         // Simulate API delay
         await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        return {
-            opportunities: [
-                {
-                    opportunity_id: "OP 662800",
-                    opportunity_number: "1755066275263x905617189420662800",
-                    customer_name: "John Smith",
-                    customer_email: "john.smith@example.com",
-                    customer_phone: "+1234567890",
-                    customer_type: "Existing",
-                    customer_rating: "A",
-                    company: "Company A",
-                    location: "New York",
-                    age: "1154.2",
-                    status: "progress",
-                    source: "Chat",
-                    campaign: "Web Chat",
-                    product_details: [
-                        {
-                            name: "Enterprise Suite",
-                            category: "Software",
-                            quantity: 1,
-                            unit_price: 50000,
-                            total_price: 50000
-                        }
-                    ],
-                    services_details: [
-                        {
-                            name: "Implementation",
-                            category: "Professional Services",
-                            quantity: 1,
-                            unit_price: 15000,
-                            total_price: 15000
-                        }
-                    ],
-                    comments: "Opp Created from Chat. Subject: Do you have Archie comics been looking for them for a while 🙂",
-                    date_created: "1755066206661",
-                    created_by: "Sharon Kwamboka",
-                    assigned_to: "Sharon Kwamboka",
-                    Asset_Name: [],
-                    amount: 65000
-                },
-                {
-                    opportunity_id: "OP 849600",
-                    opportunity_number: "1755066281548x628851611965849600",
-                    customer_name: "Sarah Johnson",
-                    customer_email: "sarah.j@example.com",
-                    customer_phone: "+1234567891",
-                    customer_type: "New",
-                    customer_rating: "B",
-                    company: "Company A",
-                    location: "Chicago",
-                    age: "1154.2",
-                    status: "new",
-                    source: "Referral",
-                    campaign: "Partner Program",
-                    product_details: [
-                        {
-                            name: "Business Pro",
-                            category: "Software",
-                            quantity: 2,
-                            unit_price: 25000,
-                            total_price: 50000
-                        }
-                    ],
-                    services_details: [],
-                    comments: "Referred by existing customer Mark Wilson",
-                    date_created: "1755066212909",
-                    created_by: "David Chen",
-                    assigned_to: "David Chen",
-                    Asset_Name: [],
-                    amount: 50000
-                },
-                {
-                    opportunity_id: "OP 491810",
-                    opportunity_number: "1755066298765x123456789012345678",
-                    customer_name: "Mike Thompson",
-                    customer_email: "mike.t@example.com",
-                    customer_phone: "+1234567892",
-                    customer_type: "Existing",
-                    customer_rating: "A+",
-                    company: "Company A",
-                    location: "San Francisco",
-                    age: "20.5",
-                    status: "closed_won",
-                    source: "Website",
-                    campaign: "Enterprise Campaign",
-                    product_details: [
-                        {
-                            name: "Enterprise Platform",
-                            category: "Software",
-                            quantity: 1,
-                            unit_price: 120000,
-                            total_price: 120000
-                        }
-                    ],
-                    services_details: [
-                        {
-                            name: "Custom Development",
-                            category: "Professional Services",
-                            quantity: 1,
-                            unit_price: 45000,
-                            total_price: 45000
-                        },
-                        {
-                            name: "Training",
-                            category: "Education",
-                            quantity: 1,
-                            unit_price: 15000,
-                            total_price: 15000
-                        }
-                    ],
-                    comments: "Enterprise customer expanding their usage",
-                    date_created: "1755066221234",
-                    created_by: "Maria Garcia",
-                    assigned_to: "Maria Garcia",
-                    Asset_Name: [],
-                    amount: 180000
-                }
-            ],
-            summary: {
-                totalPipelineValue: 295000,
-                activeOpportunities: 3,
-                averageDealSize: 98333,
-                averageDealAge: 776,
-                winRate: 33,
-                totalOpportunities: 3
+
+        const day = 24 * 60 * 60 * 1000;
+        const fixed = [
+            {
+                opportunity_id: "OP 662800",
+                opportunity_number: "1755066275263x905617189420662800",
+                customer_name: "John Smith",
+                customer_email: "john.smith@example.com",
+                customer_phone: "+1234567890",
+                customer_type: "Existing",
+                customer_rating: "A",
+                company: "Company A",
+                location: "New York",
+                age: "2.0",
+                status: "progress",
+                source: "Chat",
+                campaign: "Web Chat",
+                product_details: [
+                    {
+                        name: "Enterprise Suite",
+                        category: "Software",
+                        quantity: 1,
+                        unit_price: 50000,
+                        total_price: 50000
+                    }
+                ],
+                services_details: [
+                    {
+                        name: "Implementation",
+                        category: "Professional Services",
+                        quantity: 1,
+                        unit_price: 15000,
+                        total_price: 15000
+                    }
+                ],
+                comments: "Opp Created from Chat. Subject: Do you have Archie comics been looking for them for a while 🙂",
+                date_created: String(Date.now() - 2 * day),
+                created_by: "Sharon Kwamboka",
+                assigned_to: "Sharon Kwamboka",
+                Asset_Name: [],
+                amount: 65000
             },
+            {
+                opportunity_id: "OP 849600",
+                opportunity_number: "1755066281548x628851611965849600",
+                customer_name: "Sarah Johnson",
+                customer_email: "sarah.j@example.com",
+                customer_phone: "+1234567891",
+                customer_type: "New",
+                customer_rating: "B",
+                company: "Company A",
+                location: "Chicago",
+                age: "9.0",
+                status: "new",
+                source: "Referral",
+                campaign: "Partner Program",
+                product_details: [
+                    {
+                        name: "Business Pro",
+                        category: "Software",
+                        quantity: 2,
+                        unit_price: 25000,
+                        total_price: 50000
+                    }
+                ],
+                services_details: [],
+                comments: "Referred by existing customer Mark Wilson",
+                date_created: String(Date.now() - 9 * day),
+                created_by: "David Chen",
+                assigned_to: "David Chen",
+                Asset_Name: [],
+                amount: 50000
+            },
+            {
+                opportunity_id: "OP 491810",
+                opportunity_number: "1755066298765x123456789012345678",
+                customer_name: "Mike Thompson",
+                customer_email: "mike.t@example.com",
+                customer_phone: "+1234567892",
+                customer_type: "Existing",
+                customer_rating: "A+",
+                company: "Company A",
+                location: "San Francisco",
+                age: "20.5",
+                status: "closed_won",
+                source: "Website",
+                campaign: "Enterprise Campaign",
+                product_details: [
+                    {
+                        name: "Enterprise Platform",
+                        category: "Software",
+                        quantity: 1,
+                        unit_price: 120000,
+                        total_price: 120000
+                    }
+                ],
+                services_details: [
+                    {
+                        name: "Custom Development",
+                        category: "Professional Services",
+                        quantity: 1,
+                        unit_price: 45000,
+                        total_price: 45000
+                    },
+                    {
+                        name: "Training",
+                        category: "Education",
+                        quantity: 1,
+                        unit_price: 15000,
+                        total_price: 15000
+                    }
+                ],
+                comments: "Enterprise customer expanding their usage",
+                date_created: String(Date.now() - 20 * day),
+                created_by: "Maria Garcia",
+                assigned_to: "Maria Garcia",
+                Asset_Name: [],
+                amount: 180000
+            }
+        ];
+
+        // Status histories use their own seed so the records above stay stable
+        const historyRandom = this.createSeededRandom(4242);
+        const opportunities = [...fixed, ...this.generateMockOpportunities(140)]
+            .map(opp => ({ ...opp, status_history: this.buildMockStatusHistory(opp, historyRandom) }));
+        return {
+            opportunities,
+            summary: this.summarizeOpportunities(opportunities),
             pagination: {
                 page: 1,
-                limit: 100,
-                total: 3,
+                limit: opportunities.length,
+                total: opportunities.length,
                 pages: 1
             }
         };
     }
 
+    /**
+     * Generate seeded opportunities spread over the last two years
+     */
+    generateMockOpportunities(count) {
+        const day = 24 * 60 * 60 * 1000;
+        const random = this.createSeededRandom(1755);
+        const pick = list => list[Math.floor(random() * list.length)];
+
+        const customers = ['Acme Retail', 'Blue Harbor Bank', 'Cedar Health', 'Delta Freight', 'Evergreen Foods', 'Frontier Energy', 'Granite Insurance', 'Horizon Media', 'Ion Robotics', 'Juniper Schools'];
+        const locations = ['New York', 'Chicago', 'San Francisco', 'Austin', 'Seattle', 'Boston'];
+        const assignees = ['Sharon Kwamboka', 'David Chen', 'Maria Garcia', 'Sarah Jones'];
+        const channels = [
+            { source: 'Website', campaign: 'Enterprise Campaign' },
+            { source: 'Referral', campaign: 'Partner Program' },
+            { source: 'Chat', campaign: 'Web Chat' },
+            { source: 'Email', campaign: 'Quarterly Newsletter' },
+            { source: 'Event', campaign: 'Trade Show' }
+        ];
+        const products = [
+            { name: 'Enterprise Suite', category: 'Software', unit_price: 50000 },
+            { name: 'Business Pro', category: 'Software', unit_price: 25000 },
+            { name: 'Analytics Add-on', category: 'Software', unit_price: 12000 },
+            { name: 'Edge Gateway', category: 'Hardware', unit_price: 8000 }
+        ];
+        const services = [
+            { name: 'Implementation', category: 'Professional Services', unit_price: 15000 },
+            { name: 'Custom Development', category: 'Professional Services', unit_price: 30000 },
+            { name: 'Training', category: 'Education', unit_price: 6000 },
+            { name: 'Premium Support', category: 'Support', unit_price: 9000 }
+        ];
+        const lineItem = item => {
+            const quantity = 1 + Math.floor(random() * 3);
+            return { ...item, quantity, total_price: item.unit_price * quantity };
+        };
+
+        return Array.from({ length: count }, (_, i) => {
+            const ageDays = Math.floor(1 + random() * 729);
+            // Older opportunities are more likely to have closed
+            const closed = random() < Math.min(0.9, ageDays / 240);
+            const status = closed
+                ? (random() < 0.45 ? 'closed_won' : 'closed_lost')
+                : (random() < 0.4 ? 'new' : 'progress');
+            const product_details = random() < 0.75 ? [lineItem(pick(products))] : [];
+            const services_details = random() < 0.5 || product_details.length === 0 ? [lineItem(pick(services))] : [];
+            const amount = [...product_details, ...services_details]
+                .reduce((sum, item) => sum + item.total_price, 0);
+            const owner = pick(assignees);
+            const channel = pick(channels);
+            const id = String(100000 + i * 7919).slice(-6);
+
+            return {
+                opportunity_id: `OP ${id}`,
+                opportunity_number: `${Date.now() - ageDays * day}x${id}`,
+                customer_name: pick(customers),
+                customer_type: random() < 0.6 ? 'Existing' : 'New',
+                customer_rating: pick(['A+', 'A', 'B', 'C']),
+                company: 'Company A',
+                location: pick(locations),
+                age: String(ageDays),
+                status,
+                source: channel.source,
+                campaign: channel.campaign,
+                product_details,
+                services_details,
+                comments: '',
+                date_created: String(Date.now() - ageDays * day),
+                created_by: owner,
+                assigned_to: owner,
+                Asset_Name: [],
+                amount
+            };
+        });
+    }
+
+    /**
+     * Plausible status history ending in the opportunity's current status
+     */
+    buildMockStatusHistory(opportunity, random) {
+        const day = 24 * 60 * 60 * 1000;
+        const latest = Date.now() - 60 * 60 * 1000;
+        let ts = parseInt(opportunity.date_created, 10);
+        const history = [{ status: 'new', changed_at: String(ts) }];
+        const advance = (status, minDays, maxDays) => {
+            ts = Math.min(latest, ts + (minDays + random() * (maxDays - minDays)) * day);
+            history.push({ status, changed_at: String(Math.round(ts)) });
+        };
+
+        if (opportunity.status === 'new') return history;
+        if (opportunity.status === 'closed_lost' && random() < 0.3) {
+            // Disqualified straight away
+            advance('closed_lost', 1, 20);
+            return history;
+        }
+        advance('progress', 2, 30);
+        if (opportunity.status !== 'progress') {
+            advance(opportunity.status, 5, 60);
+        }
+        return history;
+    }
+
+    /**
+     * Summary block returned alongside mock opportunities
+     */
+    summarizeOpportunities(opportunities) {
+        if (!opportunities || opportunities.length === 0) return { totalValue: 0, openPipelineValue: 0, activeOpportunities: 0, averageDealSize: 0, averageDealAge: 0, winRate: 0, totalOpportunities: 0 };
+        const isClosed = o => ['closed_won', 'closed_lost'].includes(o.status);
+        const totalValue = opportunities.reduce((s, o) => s + (o.amount || 0), 0);
+        const openValue = opportunities.filter(o => !isClosed(o)).reduce((s, o) => s + (o.amount || 0), 0);
+        const won = opportunities.filter(o => o.status === 'closed_won').length;
+        const closed = opportunities.filter(isClosed).length;
+        return {
+            totalValue,
+            openPipelineValue: openValue,
+            activeOpportunities: opportunities.length - closed,
+            averageDealSize: Math.round(totalValue / opportunities.length),
+            averageDealAge: Math.round(opportunities.reduce((s, o) => s + (parseFloat(o.age) || 0), 0) / opportunities.length),
+            winRate: closed > 0 ? Math.round((won / closed) * 100) : 0,
+            totalOpportunities: opportunities.length
+        };
+    }
+
+    /**
+     * Run a mock handler as a cancellable pending request
+     */
+    async runMockRequest(endpoint, method, handler) {
+        const requestId = this.generateRequestId();
+        const entry = this.registerRequest(requestId, endpoint, method);
+        const aborted = new Promise((_, reject) => {
+            entry.controller.signal.addEventListener('abort', () => {
+                reject(this.createCancelError(requestId, endpoint));
+            }, { once: true });
+        });
+
+        try {
+            return await Promise.race([handler(), aborted]);
+        } finally {
+            this.pendingRequests.delete(requestId);
+        }
+    }
+
     /**
      * Mock GET router
      */
@@ -733,6 +1099,22 @@ class ApiService {
             const mock = await this.getMockOpportunities();
             return mock;
         }
+        if (path === '/opportunities/history') {
+            const ids = String(params.ids || '').split(',').filter(Boolean);
+            const mock = await this.getMockOpportunities();
+            const histories = {};
+            mock.opportunities
+                .filter(opp => ids.includes(opp.opportunity_id))
+                .forEach(opp => { histories[opp.opportunity_id] = opp.status_history; });
+            return { histories };
+        }
+        const historyMatch = path.match(/^\/opportunities\/([^/]+)\/history$/);
+        if (historyMatch) {
+            const id = decodeURIComponent(historyMatch[1]);
+            const mock = await this.getMockOpportunities();
+            const opportunity = mock.opportunities.find(opp => opp.opportunity_id === id);
+            return { history: opportunity ? opportunity.status_history : [] };
+        }
         if (path === '/sales-orders') {
             return this.getMockSalesOrders();
         }
@@ -745,17 +1127,27 @@ class ApiService {
             };
         }
         if (path === '/helpdesk-tickets') {
-            return {
-                tickets: [
-                    { id: 'HD-1001', status: 'open', priority: 'high', subject: 'Login issue', created_at: Date.now() - 86400000 },
-                    { id: 'HD-1002', status: 'in_progress', priority: 'medium', subject: 'Billing discrepancy', created_at: Date.now() - 43200000 }
-                ],
-                pagination: { page: 1, total: 2 }
-            };
+            const tickets = this.getMockTickets();
+            return { tickets, pagination: { page: 1, total: tickets.length } };
+        }
+        const customerMatch = path.match(/^\/customers\/([^/]+)$/);
+        if (customerMatch) {
+            return this.getMockCustomer(decodeURIComponent(customerMatch[1]));
         }
         if (path === '/user/preferences') {
             const prefs = localStorage.getItem('crm_user_preferences');
-            return prefs ? JSON.parse(prefs) : { theme: 'light', pageSize: 25 };
+            const mockUser = JSON.parse(localStorage.getItem('crm_mock_user') || '{}');
+            return {
+                ...(prefs ? JSON.parse(prefs) : { theme: 'light', pageSize: 25 }),
+                role: mockUser.role || 'manager'
+            };
+        }
+        if (path === '/settings/pipeline') {
+            return JSON.parse(localStorage.getItem('crm_pipeline_settings') || '{}');
+        }
+        const pdfStatusMatch = path.match(/^\/pdf\/status\/([^/]+)$/);
+        if (pdfStatusMatch) {
+            return this.advanceMockPdfJob(decodeURIComponent(pdfStatusMatch[1]));
         }
         // Default empty
         return {};
@@ -767,15 +1159,35 @@ class ApiService {
     async mockPost(endpoint, data) {
         await new Promise(r => setTimeout(r, 200));
         if (endpoint === '/pdf/generate') {
-            return { id: `pdf_${Date.now()}`, status: 'generated' };
+            const job = { id: `pdf_${Date.now()}`, status: 'queued', progress: 0, message: 'Waiting in queue', step: 0 };
+            this.mockPdfJobs.set(job.id, job);
+            return this.describeMockPdfJob(job);
+        }
+        const pdfCancelMatch = endpoint.match(/^\/pdf\/cancel\/([^/]+)$/);
+        if (pdfCancelMatch) {
+            const job = this.mockPdfJobs.get(decodeURIComponent(pdfCancelMatch[1]));
+            if (job && job.status !== 'completed') {
+                Object.assign(job, { status: 'cancelled', message: 'Cancelled' });
+            }
+            return job ? this.describeMockPdfJob(job) : { success: false };
         }
         if (endpoint === '/email/send') {
-            return { success: true };
+            return { success: true, attachments: (data?.attachments || []).map(file => file.filename) };
         }
         if (endpoint === '/auth/login') {
+            // Any credentials are accepted in mock mode; the username picks the role
+            const username = (data && (data.username || data.email)) || 'demo';
+            const role = /^admin/i.test(username) ? 'admin' : (/^viewer/i.test(username) ? 'viewer' : 'manager');
+            const user = {
+                id: `user_${username}`,
+                name: username.split('@')[0],
+                email: username.includes('@') ? username : `${username}@companya.com`,
+                role
+            };
             const token = `mock_${Date.now()}`;
+            localStorage.setItem('crm_mock_user', JSON.stringify(user));
             this.setToken(token);
-            return { token };
+            return { token, user };
         }
         if (endpoint === '/auth/logout') {
             this.clearToken();
@@ -790,42 +1202,147 @@ class ApiService {
     }
 
     /**
-     * Mock sales orders data
+     * Move a mock PDF job one step along; each status poll is one step
+     */
+    advanceMockPdfJob(id) {
+        const job = this.mockPdfJobs.get(id);
+        if (!job) {
+            return { id, status: 'failed', progress: 0, error: 'Unknown PDF job' };
+        }
+        if (job.status === 'cancelled' || job.status === 'completed') {
+            return this.describeMockPdfJob(job);
+        }
+
+        const steps = [
+            { status: 'processing', progress: 20, message: 'Collecting data' },
+            { status: 'processing', progress: 45, message: 'Rendering charts' },
+            { status: 'processing', progress: 75, message: 'Building tables' },
+            { status: 'completed', progress: 100, message: 'Report ready' }
+        ];
+        Object.assign(job, steps[Math.min(job.step, steps.length - 1)]);
+        job.step++;
+        return this.describeMockPdfJob(job);
+    }
+
+    /**
+     * Public fields of a mock PDF job
+     */
+    describeMockPdfJob({ id, status, progress, message }) {
+        return { id, status, progress, message };
+    }
+
+    /**
+     * Mock sales orders data (three fixed orders plus a year of generated history)
      */
     getMockSalesOrders() {
+        const day = 24 * 60 * 60 * 1000;
+        const fixed = [
+            {
+                order_id: 'SO-2024-001',
+                order_number: 'SO-2024-001',
+                customer_name: 'Global Tech Inc',
+                date_created: String(Date.now() - 3 * day),
+                status: 'delivered',
+                total_order_value: 18450,
+                items: 3,
+                assigned_to: 'David Chen'
+            },
+            {
+                order_id: 'SO-2024-002',
+                order_number: 'SO-2024-002', 
+                customer_name: 'Nexus Solutions',
+                date_created: String(Date.now() - 4 * day),
+                status: 'shipped',
+                total_order_value: 12800,
+                items: 2,
+                assigned_to: 'Sarah Jones'
+            },
+            {
+                order_id: 'SO-2024-003',
+                order_number: 'SO-2024-003',
+                customer_name: 'Inghb Corporation',
+                date_created: String(Date.now() - 5 * day),
+                status: 'processing',
+                total_order_value: 24300,
+                items: 5,
+                assigned_to: 'Maria Garcia'
+            }
+        ];
+
+        // Some overlap with the opportunity customers so the customer 360 drawer joins them
+        const customers = ['Global Tech Inc', 'Nexus Solutions', 'Inghb Corporation', 'Brightline Media', 'Summit Logistics', 'Aurora Health', 'Acme Retail', 'Cedar Health', 'Horizon Media'];
+        const assignees = ['David Chen', 'Sarah Jones', 'Maria Garcia', 'Sharon Kwamboka'];
+        const statuses = ['delivered', 'delivered', 'delivered', 'shipped', 'processing', 'pending', 'cancelled'];
+        const random = this.createSeededRandom(2024);
+
+        const generated = Array.from({ length: 60 }, (_, i) => {
+            const number = `SO-2024-${String(i + 4).padStart(3, '0')}`;
+            return {
+                order_id: number,
+                order_number: number,
+                customer_name: customers[Math.floor(random() * customers.length)],
+                date_created: String(Date.now() - Math.floor(6 + random() * 360) * day),
+                status: statuses[Math.floor(random() * statuses.length)],
+                total_order_value: Math.round(2000 + random() * 38000),
+                items: 1 + Math.floor(random() * 8),
+                assigned_to: assignees[Math.floor(random() * assignees.length)]
+            };
+        });
+
+        return { orders: [...fixed, ...generated] };
+    }
+
+    /**
+     * Mock helpdesk tickets
+     */
+    getMockTickets() {
+        const ago = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        return [
+            { ticket_id: 'HD-1001', status: 'open', category: 'Access', comments: 'Login issue', customer_name: 'John Smith', customer_email: 'john.smith@example.com', assigned_to: 'David Chen', date_created: ago(24) },
+            { ticket_id: 'HD-1002', status: 'in_progress', category: 'Billing', comments: 'Billing discrepancy', customer_name: 'Global Tech Inc', assigned_to: 'Maria Garcia', date_created: ago(12) },
+            { ticket_id: 'HD-1003', status: 'closed', category: 'Billing', comments: 'Invoice copy request', customer_name: 'Acme Retail', assigned_to: 'Sarah Jones', date_created: ago(120), ticket_closure_date: ago(100) }
+        ];
+    }
+
+    /**
+     * Mock customer 360: every opportunity, order and ticket whose customer
+     * email or name matches the id
+     */
+    async getMockCustomer(id) {
+        const [opportunities, salesOrders] = await Promise.all([this.getMockOpportunities(), this.getMockSalesOrders()]);
+        const key = String(id).toLowerCase();
+        const matches = record => [record.customer_email, record.customer_name]
+            .some(value => value && String(value).toLowerCase() === key);
+
+        const customerOpportunities = opportunities.opportunities.filter(matches);
+        const orders = salesOrders.orders.filter(matches);
+        const tickets = this.getMockTickets().filter(matches);
+        const profile = [...customerOpportunities, ...tickets, ...orders][0];
+        if (!profile) return { customer: null, opportunities: [], orders: [], tickets: [] };
+
         return {
-            orders: [
-                {
-                    order_id: 'SO-2024-001',
-                    order_number: 'SO-2024-001',
-                    customer_name: 'Global Tech Inc',
-                    date_created: String(Date.now() - 3 * 24 * 60 * 60 * 1000),
-                    status: 'delivered',
-                    total_order_value: 18450,
-                    items: 3,
-                    assigned_to: 'David Chen'
-                },
-                {
-                    order_id: 'SO-2024-002',
-                    order_number: 'SO-2024-002', 
-                    customer_name: 'Nexus Solutions',
-                    date_created: String(Date.now() - 4 * 24 * 60 * 60 * 1000),
-                    status: 'shipped',
-                    total_order_value: 12800,
-                    items: 2,
-                    assigned_to: 'Sarah Jones'
-                },
-                {
-                    order_id: 'SO-2024-003',
-                    order_number: 'SO-2024-003',
-                    customer_name: 'Inghb Corporation',
-                    date_created: String(Date.now() - 5 * 24 * 60 * 60 * 1000),
-                    status: 'processing',
-                    total_order_value: 24300,
-                    items: 5,
-                    assigned_to: 'Maria Garcia'
-                }
-            ]
+            customer: {
+                id,
+                name: profile.customer_name,
+                email: profile.customer_email || '',
+                phone: profile.customer_phone || '',
+                type: customerOpportunities.find(opp => opp.customer_type)?.customer_type || '',
+                rating: customerOpportunities.find(opp => opp.customer_rating)?.customer_rating || ''
+            },
+            opportunities: customerOpportunities,
+            orders,
+            tickets
+        };
+    }
+
+    /**
+     * Deterministic pseudo-random generator so mock data is stable between loads
+     */
+    createSeededRandom(seed) {
+        let state = seed;
+        return () => {
+            state = (state * 9301 + 49297) % 233280;
+            return state / 233280;
         };
     }
 
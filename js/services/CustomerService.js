@@ -0,0 +1,60 @@
+/**
+ * Customer Service
+ * Customer 360 lookups: everything one customer has across opportunities,
+ * sales orders and helpdesk tickets, from API.endpoints.customer.
+ */
+
+import Config from '../config.js';
+
+class CustomerService {
+    constructor(apiService) {
+        this.apiService = apiService;
+    }
+
+    /**
+     * Id used to look a record's customer up (email when known, else name)
+     */
+    getCustomerId(record) {
+        return record?.customer_email || record?.customer_name || '';
+    }
+
+    /**
+     * Fetch and summarize a customer
+     * @returns {Promise<Object|null>} null when the customer is unknown
+     */
+    async getCustomer(id) {
+        const template = Config?.API?.endpoints?.customer || '/customers/{id}';
+        const response = await this.apiService.get(template.replace('{id}', encodeURIComponent(id)));
+        if (!response?.customer) return null;
+
+        const opportunities = response.opportunities || [];
+        const orders = response.orders || [];
+        // Tickets may carry ISO dates; views format epoch-millisecond strings
+        const tickets = (response.tickets || []).map(ticket => ({ ...ticket, date_created: String(this.toTimestamp(ticket.date_created)) }));
+        const closedStatuses = Config?.PIPELINE?.closedStatuses || ['closed_won', 'closed_lost'];
+        const byNewest = (a, b) => this.toTimestamp(b.date_created) - this.toTimestamp(a.date_created);
+
+        return {
+            customer: response.customer,
+            openOpportunities: opportunities.filter(opp => !closedStatuses.includes(opp.status)).sort(byNewest),
+            totalOpportunities: opportunities.length,
+            orders: [...orders].sort(byNewest),
+            tickets: [...tickets].sort(byNewest),
+            // Cancelled orders never turned into revenue
+            lifetimeOrderValue: response.lifetimeOrderValue ?? orders
+                .filter(order => order.status !== 'cancelled')
+                .reduce((sum, order) => sum + (parseFloat(order.total_order_value) || 0), 0)
+        };
+    }
+
+    /**
+     * Epoch milliseconds from a timestamp string or ISO date
+     */
+    toTimestamp(value) {
+        if (!value) return 0;
+        const numeric = Number(value);
+        return isNaN(numeric) ? (Date.parse(value) || 0) : numeric;
+    }
+}
+
+export default CustomerService;
@@ -1,7 +1,19 @@
 /**
  * Email Service - Handles sending dashboard reports via email
+ * Reports go out with the file attached (by PDF job id or as base64 content)
+ * and an HTML summary of the KPI cards in the body.
  */
 
+import SafeHTML from '../views/SafeHTML.js';
+
+const { html } = SafeHTML;
+
+// Email clients ignore stylesheets, so the summary uses inline styles
+const TONE_COLORS = {
+    up: '#198754',
+    down: '#dc3545'
+};
+
 class EmailService {
     constructor(apiService) {
         this.apiService = apiService;
@@ -17,15 +29,73 @@ class EmailService {
                 recipient: emailData.recipient,
                 subject: emailData.subject,
                 message: emailData.message,
+                html: emailData.html || '',
+                attachments: emailData.attachments || [],
+                filters: emailData.filters || {},
                 timestamp: new Date().toISOString(),
                 company: 'Company A'
             });
 
             return response;
         } catch (error) {
-            console.error('Email sending failed:', error);
-            throw new Error('Failed to send email report');
+            // Rethrown as is so callers can tell CANCELLED and FORBIDDEN apart
+            if (error.type !== 'CANCELLED') {
+                console.error('Email sending failed:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Inline HTML summary of the KPI cards for the email body
+     * @param {Object} summary - title, message, filters ["Label: value"] and
+     *   kpis [{ label, value, trend, tone }] as read by BaseView.getReportContent
+     */
+    buildKpiSummary({ title, message = '', filters = [], kpis = [] }) {
+        const cellStyle = 'padding:12px;border:1px solid #dee2e6;vertical-align:top;width:33%;';
+
+        // Three cards per row keeps the table readable on narrow mail clients
+        const rows = [];
+        for (let i = 0; i < kpis.length; i += 3) {
+            rows.push(kpis.slice(i, i + 3));
         }
+
+        return html`
+            <div style="font-family:Arial,Helvetica,sans-serif;color:#212529;">
+                ${message ? html`<p style="white-space:pre-line;">${message}</p>` : ''}
+                <h2 style="font-size:18px;margin:16px 0 4px;">${title}</h2>
+                <p style="font-size:12px;color:#6c757d;margin:0 0 12px;">
+                    ${filters.length ? filters.join(' · ') : 'No filters applied'}
+                </p>
+                ${kpis.length ? html`
+                    <table style="border-collapse:collapse;width:100%;" role="presentation">
+                        ${rows.map(row => html`
+                            <tr>
+                                ${row.map(kpi => html`
+                                    <td style="${cellStyle}">
+                                        <div style="font-size:12px;color:#6c757d;">${kpi.label}</div>
+                                        <div style="font-size:20px;font-weight:bold;">${kpi.value}</div>
+                                        ${kpi.trend ? html`<div style="font-size:12px;color:${TONE_COLORS[kpi.tone] || '#6c757d'};">${kpi.trend}</div>` : ''}
+                                    </td>
+                                `)}
+                            </tr>
+                        `)}
+                    </table>
+                ` : ''}
+            </div>
+        `.toString();
+    }
+
+    /**
+     * Base64 of a UTF-8 string, for attachment content
+     */
+    encodeBase64(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
     }
 
     /**
@@ -0,0 +1,339 @@
+/**
+ * Export Service - CSV and Excel (XLSX) export of dashboard tables
+ * Files are built in the browser, so exports work in mock mode and offline.
+ *
+ * Columns are { key, label, type, value }: type is 'text' (default), 'number'
+ * or 'date'; value(record) overrides record[key].
+ */
+
+const LINE_ITEM_COLUMNS = [
+    { key: 'type', label: 'Line Item Type' },
+    { key: 'name', label: 'Line Item' },
+    { key: 'category', label: 'Line Item Category' },
+    { key: 'quantity', label: 'Quantity', type: 'number' },
+    { key: 'unit_price', label: 'Unit Price', type: 'number' },
+    { key: 'total_price', label: 'Line Total', type: 'number' }
+];
+
+const MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+let crcTable = null;
+
+class ExportService {
+    /**
+     * Header row and value rows for a set of records
+     * @param {Function|null} lineItems - record => items; adds one row per line item
+     * @returns {{headers: string[], types: string[], rows: Array[]}}
+     */
+    buildTable(records, columns, lineItems = null) {
+        const itemColumns = lineItems ? LINE_ITEM_COLUMNS : [];
+        const headers = [...columns, ...itemColumns].map(column => column.label);
+        const types = [...columns, ...itemColumns].map(column => column.type || 'text');
+        const rows = [];
+
+        records.forEach(record => {
+            const values = columns.map(column => this.getCellValue(column, record));
+            if (!lineItems) {
+                rows.push(values);
+                return;
+            }
+
+            const items = lineItems(record) || [];
+            if (!items.length) {
+                rows.push([...values, ...itemColumns.map(() => '')]);
+                return;
+            }
+            items.forEach(item => {
+                rows.push([...values, ...itemColumns.map(column => this.getCellValue(column, item))]);
+            });
+        });
+
+        return { headers, types, rows };
+    }
+
+    /**
+     * Export value for one column: numbers stay numeric, dates become YYYY-MM-DD
+     */
+    getCellValue(column, record) {
+        const value = column.value ? column.value(record) : record?.[column.key];
+        if (value === null || value === undefined || value === '') return '';
+
+        if (column.type === 'number') {
+            const number = parseFloat(value);
+            return isNaN(number) ? '' : number;
+        }
+        if (column.type === 'date') {
+            const numeric = Number(value);
+            const date = new Date(isNaN(numeric) ? value : numeric);
+            if (isNaN(date.getTime())) return '';
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    /**
+     * Build the file and start the download
+     * @param {string} format - 'csv' | 'xlsx'
+     * @returns {string} File name
+     */
+    exportTable(table, format, baseName) {
+        const filename = `${baseName}-${this.getDateStamp()}.${format}`;
+        const content = format === 'xlsx' ? this.toXLSX(table, baseName) : this.toCSV(table);
+        this.download(new Blob([content], { type: MIME_TYPES[format] || MIME_TYPES.csv }), filename);
+        return filename;
+    }
+
+    /**
+     * RFC 4180 CSV with a BOM so Excel reads it as UTF-8
+     */
+    toCSV({ headers, rows }) {
+        const lines = [headers, ...rows].map(row => row.map(value => this.toCSVField(value)).join(','));
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    /**
+     * Quote a CSV field; text that a spreadsheet would run as a formula is prefixed with '
+     */
+    toCSVField(value) {
+        if (typeof value === 'number') return String(value);
+        let text = String(value ?? '');
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Single-sheet XLSX workbook (bold header row, frozen below it). Date
+     * columns are written as date serials so spreadsheets sort and filter them.
+     * @returns {Uint8Array}
+     */
+    toXLSX({ headers, types = [], rows }, sheetName = 'Export') {
+        const name = this.escapeXML(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Export');
+        const sheetRows = [headers, ...rows].map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = `${this.getColumnName(columnIndex)}${rowIndex + 1}`;
+                const style = rowIndex === 0 ? ' s="1"' : '';
+                if (typeof value === 'number') {
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                if (value === '') return '';
+                const serial = rowIndex > 0 && types[columnIndex] === 'date' ? this.toDateSerial(value) : null;
+                if (serial !== null) {
+                    return `<c r="${ref}" s="2"><v>${serial}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${this.escapeXML(value)}</t></is></c>`;
+            });
+            return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+        });
+
+        const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const pkgRelNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+        return this.createZip([
+            {
+                name: '[Content_Types].xml',
+                content: xml + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: xml + `<Relationships xmlns="${pkgRelNs}">` +
+                    `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: xml + `<workbook xmlns="${mainNs}" xmlns:r="${relNs}">` +
+                    `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: xml + `<Relationships xmlns="${pkgRelNs}">` +
+                    `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                    `<Relationship Id="rId2" Type="${relNs}/styles" Target="styles.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                content: xml + `<styleSheet xmlns="${mainNs}">` +
+                    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+                    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+                    '</styleSheet>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: xml + `<worksheet xmlns="${mainNs}">` +
+                    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+                    `<sheetData>${sheetRows.join('')}</sheetData>` +
+                    '</worksheet>'
+            }
+        ]);
+    }
+
+    /**
+     * Spreadsheet date serial (days since 1899-12-30) for a YYYY-MM-DD cell
+     * value, or null when it is not one
+     */
+    toDateSerial(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) return null;
+        const [, year, month, day] = match.map(Number);
+        return Date.UTC(year, month - 1, day) / 86400000 + 25569;
+    }
+
+    /**
+     * Spreadsheet column name for a zero-based index (0 → A, 26 → AA)
+     */
+    getColumnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Escape text for XML, dropping control characters XML does not allow
+     */
+    escapeXML(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Uncompressed (stored) ZIP archive
+     * @param {Array} files - [{ name, content }]
+     * @returns {Uint8Array}
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    /**
+     * CRC-32 checksum used by ZIP entries
+     */
+    crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Local date for file names (YYYY-MM-DD)
+     */
+    getDateStamp() {
+        return this.getCellValue({ key: 'now', type: 'date' }, { now: Date.now() }) || 'export';
+    }
+
+    /**
+     * Save a blob through a temporary link
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+export default ExportService;
@@ -0,0 +1,127 @@
+/**
+ * Feature Flag Service
+ * Resolves global (Config.FEATURES) and per-dashboard (Config.DASHBOARDS[x].features)
+ * flags, with overrides from /user/preferences and the remote flags endpoint.
+ *
+ * Override payloads share one shape:
+ *   { features: { notifications: false }, dashboards: { helpdesk: { pdfExport: true } } }
+ * Precedence: config < user preferences < remote flags.
+ */
+
+import Config from '../config.js';
+
+const FLAG_LABELS = {
+    pdfExport: 'PDF export',
+    emailReports: 'Email reporting',
+    realTimeUpdates: 'Auto-refresh',
+    advancedCharts: 'Advanced charts',
+    dataExport: 'Data export',
+    customFilters: 'Custom filters',
+    notifications: 'Notifications'
+};
+
+const SOURCE_SUFFIXES = {
+    config: '',
+    preferences: ' in your preferences',
+    remote: ' by your administrator'
+};
+
+class FeatureFlagService {
+    constructor(apiService) {
+        this.apiService = apiService;
+        this.layers = { preferences: null, remote: null };
+    }
+
+    /**
+     * Load overrides from user preferences and the remote flags endpoint
+     */
+    async load() {
+        const endpoint = Config?.API?.endpoints?.featureFlags || '/feature-flags';
+        const [preferences, remote] = await Promise.all([
+            this.apiService.getUserPreferences().catch(() => null),
+            this.apiService.get(endpoint).catch(error => {
+                console.warn('Remote feature flags unavailable, using config defaults:', error);
+                return null;
+            })
+        ]);
+
+        this.layers = {
+            preferences: preferences?.featureFlags || null,
+            remote: remote || null
+        };
+    }
+
+    /**
+     * Drop all overrides (on logout)
+     */
+    clear() {
+        this.layers = { preferences: null, remote: null };
+    }
+
+    /**
+     * Check whether a flag is enabled, optionally for a dashboard
+     */
+    isEnabled(flag, dashboardType = null) {
+        return this.resolve(flag, dashboardType).enabled;
+    }
+
+    /**
+     * Check one or more flags; returns the first disabled one with a reason
+     * @returns {{enabled: boolean, flag: string|null, reason: string}}
+     */
+    check(flags, dashboardType = null) {
+        const list = Array.isArray(flags) ? flags : [flags];
+        for (const flag of list) {
+            const result = this.resolve(flag, dashboardType);
+            if (!result.enabled) {
+                return { enabled: false, flag, reason: this.explain(flag, result) };
+            }
+        }
+        return { enabled: true, flag: null, reason: '' };
+    }
+
+    /**
+     * Resolve a flag through the config, preferences and remote layers.
+     * A dashboard-level value wins over a global one within the same layer.
+     */
+    resolve(flag, dashboardType = null) {
+        const key = this.normalizeDashboard(dashboardType);
+        const layers = [
+            { source: 'config', features: Config?.FEATURES, dashboard: Config?.DASHBOARDS?.[key]?.features },
+            { source: 'preferences', features: this.layers.preferences?.features, dashboard: this.layers.preferences?.dashboards?.[key] },
+            { source: 'remote', features: this.layers.remote?.features, dashboard: this.layers.remote?.dashboards?.[key] }
+        ];
+
+        let result = { enabled: true, source: 'config', scope: 'global', dashboard: key };
+        layers.forEach(({ source, features, dashboard }) => {
+            if (key && dashboard && typeof dashboard[flag] === 'boolean') {
+                result = { enabled: dashboard[flag], source, scope: 'dashboard', dashboard: key };
+            } else if (features && typeof features[flag] === 'boolean') {
+                result = { enabled: features[flag], source, scope: 'global', dashboard: key };
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Human readable reason for a disabled flag
+     */
+    explain(flag, result) {
+        const label = FLAG_LABELS[flag] || flag;
+        const dashboardName = Config?.DASHBOARDS?.[result.dashboard]?.name;
+        const scope = result.scope === 'dashboard' && dashboardName
+            ? ` for ${dashboardName}`
+            : '';
+        return `${label} is disabled${scope}${SOURCE_SUFFIXES[result.source] || ''}`;
+    }
+
+    /**
+     * Nav ids are kebab-case ('sales-orders'); config keys are camelCase ('salesOrders')
+     */
+    normalizeDashboard(dashboardType) {
+        if (!dashboardType) return null;
+        return String(dashboardType).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    }
+}
+
+export default FeatureFlagService;
@@ -0,0 +1,347 @@
+/**
+ * PDF Report Builder - Client-side dashboard report with jsPDF
+ * Lays out a report as real text following Config.PDF (page size, orientation,
+ * margins, header and footer with a {{date}} token): KPI cards, one image per
+ * chart and text tables that paginate with a repeating header row.
+ *
+ * Report content (see BaseView.getReportContent):
+ *   { title, filters: [string], kpis: [{ label, value, trend, tone }],
+ *     charts: [{ title, image, width, height }],
+ *     tables: [{ title, columns: [{ label, align }], rows: [[string]] }] }
+ */
+
+import Config from '../config.js';
+
+const PT_TO_MM = 0.3528;
+const COLORS = {
+    text: [33, 37, 41],
+    muted: [108, 117, 125],
+    border: [222, 226, 230],
+    headerFill: [241, 243, 245],
+    up: [25, 135, 84],
+    down: [220, 53, 69]
+};
+
+class PdfReportBuilder {
+    /**
+     * @param {Function} jsPDF - window.jspdf.jsPDF
+     * @param {Object} settings - Config.PDF shape
+     */
+    constructor(jsPDF, settings = Config?.PDF || {}) {
+        this.jsPDF = jsPDF;
+        this.settings = settings;
+        this.generatedAt = new Date();
+        this.doc = null;
+        this.y = 0;
+    }
+
+    /**
+     * Lay out the whole report
+     * @returns {Object} jsPDF document (call .save(filename))
+     */
+    build(report) {
+        const margins = { top: 20, right: 15, bottom: 20, left: 15, ...(this.settings.margins || {}) };
+        this.doc = new this.jsPDF({
+            orientation: this.settings.orientation || 'portrait',
+            unit: 'mm',
+            format: String(this.settings.pageSize || 'A4').toLowerCase()
+        });
+        this.margins = margins;
+        this.pageWidth = this.doc.internal.pageSize.getWidth();
+        this.pageHeight = this.doc.internal.pageSize.getHeight();
+        this.contentWidth = this.pageWidth - margins.left - margins.right;
+        this.y = margins.top;
+
+        this.drawTitle(report.title, report.filters || []);
+        if (report.kpis?.length) this.drawKpis(report.kpis);
+        (report.charts || []).forEach(chart => this.drawChart(chart));
+        (report.tables || []).forEach(table => this.drawTable(table));
+        this.drawHeadersAndFooters();
+
+        return this.doc;
+    }
+
+    /**
+     * Report title, generation time and active filters
+     */
+    drawTitle(title, filters) {
+        this.setFont(16, 'bold');
+        this.writeLines(this.doc.splitTextToSize(this.toPdfText(title || 'Dashboard Report'), this.contentWidth), 16);
+
+        this.setFont(9, 'normal', COLORS.muted);
+        this.writeLines([`Generated ${this.formatDate()}`], 9);
+        if (filters.length) {
+            this.writeLines(this.doc.splitTextToSize(this.toPdfText(`Filters: ${filters.join(' | ')}`), this.contentWidth), 9);
+        }
+        this.y += 4;
+    }
+
+    /**
+     * KPI cards in a grid
+     */
+    drawKpis(kpis) {
+        const gap = 4;
+        const height = 22;
+        const perRow = Math.max(1, Math.min(kpis.length, Math.floor((this.contentWidth + gap) / (45 + gap))));
+        const width = (this.contentWidth - gap * (perRow - 1)) / perRow;
+
+        this.drawSectionTitle('Key Metrics', height);
+        kpis.forEach((kpi, index) => {
+            const column = index % perRow;
+            if (column === 0 && index > 0) {
+                this.y += height + gap;
+            }
+            if (column === 0) {
+                this.ensureSpace(height);
+            }
+            const x = this.margins.left + column * (width + gap);
+
+            this.doc.setDrawColor(...COLORS.border);
+            this.doc.setLineWidth(0.3);
+            this.doc.roundedRect(x, this.y, width, height, 1.5, 1.5, 'S');
+
+            this.setFont(8, 'normal', COLORS.muted);
+            this.doc.text(this.fitText(kpi.label, width - 6), x + 3, this.y + 5.5);
+            this.setFont(14, 'bold');
+            this.doc.text(this.fitText(kpi.value, width - 6), x + 3, this.y + 13);
+            if (kpi.trend) {
+                this.setFont(7.5, 'normal', COLORS[kpi.tone] || COLORS.muted);
+                this.doc.text(this.fitText(kpi.trend, width - 6), x + 3, this.y + 18.5);
+            }
+        });
+        this.y += height + 8;
+    }
+
+    /**
+     * One chart image, scaled to the content width and kept on a single page
+     */
+    drawChart(chart) {
+        if (!chart.image || !chart.width || !chart.height) return;
+
+        const maxHeight = Math.min(90, (this.pageHeight - this.margins.top - this.margins.bottom) * 0.45);
+        let width = this.contentWidth;
+        let height = width * chart.height / chart.width;
+        if (height > maxHeight) {
+            height = maxHeight;
+            width = height * chart.width / chart.height;
+        }
+
+        this.drawSectionTitle(chart.title || 'Chart', height);
+        this.ensureSpace(height);
+        this.doc.addImage(chart.image, 'PNG', this.margins.left + (this.contentWidth - width) / 2, this.y, width, height);
+        this.y += height + 8;
+    }
+
+    /**
+     * Text table; rows that do not fit start a new page and repeat the header row
+     */
+    drawTable(table) {
+        const fontSize = 8;
+        const padding = 1.5;
+        const lineHeight = fontSize * PT_TO_MM * 1.25;
+        const columns = table.columns || [];
+        if (!columns.length) return;
+
+        const widths = this.getColumnWidths(table, fontSize, padding);
+        const layoutRow = (cells, style) => {
+            this.setFont(fontSize, style);
+            const lines = columns.map((column, index) => (
+                this.doc.splitTextToSize(this.toPdfText(cells[index] ?? ''), widths[index] - padding * 2)
+            ));
+            const height = Math.max(1, ...lines.map(cellLines => cellLines.length)) * lineHeight + padding * 2;
+            return { lines, height };
+        };
+        const header = layoutRow(columns.map(column => column.label), 'bold');
+
+        const drawRow = ({ lines, height }, isHeader) => {
+            let x = this.margins.left;
+            if (isHeader) {
+                this.doc.setFillColor(...COLORS.headerFill);
+                this.doc.rect(x, this.y, this.contentWidth, height, 'F');
+            }
+            this.setFont(fontSize, isHeader ? 'bold' : 'normal');
+            lines.forEach((cellLines, index) => {
+                const alignRight = columns[index].align === 'right';
+                const textX = alignRight ? x + widths[index] - padding : x + padding;
+                const textY = this.y + padding + fontSize * PT_TO_MM;
+                this.doc.text(cellLines, textX, textY, { align: alignRight ? 'right' : 'left', lineHeightFactor: 1.25 });
+                x += widths[index];
+            });
+            this.doc.setDrawColor(...COLORS.border);
+            this.doc.setLineWidth(0.2);
+            this.doc.line(this.margins.left, this.y + height, this.margins.left + this.contentWidth, this.y + height);
+            this.y += height;
+        };
+
+        const rows = (table.rows || []).map(cells => layoutRow(cells, 'normal'));
+        this.drawSectionTitle(table.title || 'Table', header.height + (rows[0]?.height || lineHeight));
+        drawRow(header, true);
+
+        if (!rows.length) {
+            this.setFont(fontSize, 'normal', COLORS.muted);
+            this.writeLines(['No records'], fontSize);
+        }
+        rows.forEach(row => {
+            if (this.ensureSpace(row.height)) {
+                drawRow(header, true);
+            }
+            drawRow(row, false);
+        });
+        this.y += 8;
+    }
+
+    /**
+     * Column widths from the longest text per column, fitted to the content width
+     */
+    getColumnWidths(table, fontSize, padding) {
+        const sample = (table.rows || []).slice(0, 200);
+        const natural = table.columns.map((column, index) => {
+            this.setFont(fontSize, 'bold');
+            let width = this.doc.getTextWidth(this.toPdfText(column.label));
+            this.setFont(fontSize, 'normal');
+            sample.forEach(cells => {
+                width = Math.max(width, this.doc.getTextWidth(this.toPdfText(cells[index] ?? '')));
+            });
+            // Long text wraps instead of taking the whole row
+            return Math.min(Math.max(width + padding * 2, 12), 70);
+        });
+        const total = natural.reduce((sum, width) => sum + width, 0);
+        if (total <= this.contentWidth) {
+            return natural.map(width => width * this.contentWidth / total);
+        }
+
+        // Too wide: narrow columns keep their width, the widest ones share the rest and wrap
+        const widths = [...natural];
+        let open = natural.map((width, index) => index);
+        let remaining = this.contentWidth;
+        while (open.length) {
+            const share = remaining / open.length;
+            const fitting = open.filter(index => natural[index] <= share);
+            if (!fitting.length) {
+                open.forEach(index => { widths[index] = share; });
+                break;
+            }
+            fitting.forEach(index => { remaining -= natural[index]; });
+            open = open.filter(index => natural[index] > share);
+        }
+        return widths;
+    }
+
+    /**
+     * Section heading; moves to a new page when the heading and the first
+     * contentHeight millimetres of its content would not fit
+     */
+    drawSectionTitle(title, contentHeight = 0) {
+        const height = 12 * PT_TO_MM * 1.2 + 2;
+        this.ensureSpace(height + contentHeight);
+        this.setFont(12, 'bold');
+        this.writeLines([this.toPdfText(title)], 12);
+        this.y += 2;
+    }
+
+    /**
+     * Header and footer text (Config.PDF) and page numbers on every page
+     */
+    drawHeadersAndFooters() {
+        const { header = {}, footer = {} } = this.settings;
+        const pages = this.doc.getNumberOfPages();
+        const right = this.pageWidth - this.margins.right;
+
+        for (let page = 1; page <= pages; page++) {
+            this.doc.setPage(page);
+            this.setFont(8, 'normal', COLORS.muted);
+
+            if (header.enabled && header.text) {
+                const headerY = Math.max(this.margins.top - 8, 6);
+                this.doc.text(this.fitText(this.fillTokens(header.text), this.contentWidth), this.margins.left, headerY);
+                this.doc.setDrawColor(...COLORS.border);
+                this.doc.line(this.margins.left, headerY + 2, right, headerY + 2);
+            }
+
+            const footerY = this.pageHeight - Math.max(this.margins.bottom - 10, 6);
+            if (footer.enabled && footer.text) {
+                this.doc.text(this.fitText(this.fillTokens(footer.text), this.contentWidth - 30), this.margins.left, footerY);
+            }
+            this.doc.text(`Page ${page} of ${pages}`, right, footerY, { align: 'right' });
+        }
+    }
+
+    /**
+     * Start a new page when height millimetres do not fit on this one
+     * @returns {boolean} true when a page was added
+     */
+    ensureSpace(height) {
+        if (this.y + height <= this.pageHeight - this.margins.bottom || this.y <= this.margins.top) {
+            return false;
+        }
+        this.doc.addPage();
+        this.y = this.margins.top;
+        return true;
+    }
+
+    /**
+     * Write lines of the current font at the cursor
+     */
+    writeLines(lines, fontSize) {
+        const lineHeight = fontSize * PT_TO_MM * 1.2;
+        lines.forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.y += lineHeight;
+            this.doc.text(line, this.margins.left, this.y - lineHeight * 0.25);
+        });
+    }
+
+    setFont(size, style = 'normal', color = COLORS.text) {
+        this.doc.setFont('helvetica', style);
+        this.doc.setFontSize(size);
+        this.doc.setTextColor(...color);
+    }
+
+    /**
+     * Single line of text, shortened with an ellipsis to fit width
+     */
+    fitText(text, width) {
+        let value = this.toPdfText(text);
+        if (this.doc.getTextWidth(value) <= width) return value;
+        while (value.length > 1 && this.doc.getTextWidth(`${value}...`) > width) {
+            value = value.slice(0, -1);
+        }
+        return `${value.trimEnd()}...`;
+    }
+
+    /**
+     * Replace {{date}} in header and footer text
+     */
+    fillTokens(text) {
+        return String(text).replace(/\{\{\s*date\s*\}\}/g, this.formatDate());
+    }
+
+    formatDate() {
+        return this.generatedAt.toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * The standard PDF fonts only cover Latin-1: map trend arrows and drop
+     * other symbols (emoji, CJK) instead of printing garbage
+     */
+    toPdfText(value) {
+        return String(value ?? '')
+            .replace(/↑/g, '+')
+            .replace(/↓/g, '-')
+            .replace(/→/g, '=')
+            .replace(/[–—]/g, '-')
+            .replace(/·/g, '|')
+            .replace(/×/g, '')
+            .replace(/[^\x20-\x7E\xA0-\xFF]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+export default PdfReportBuilder;
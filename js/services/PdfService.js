@@ -1,10 +1,17 @@
 /**
  * PDF Service - Handles PDF generation and export
+ * Server-side reports run as jobs: generateDashboardPDF submits one,
+ * waitForJob polls its status until the file is ready.
  */
 
+import Config from '../config.js';
+
+const COMPLETED_STATUSES = ['completed', 'generated'];
+
 class PdfService {
     constructor(apiService) {
         this.apiService = apiService;
+        this.recentKey = 'crm_recent_exports_v1';
     }
 
     /**
@@ -22,6 +29,7 @@ class PdfService {
 
             return response;
         } catch (error) {
+            if (error.type === 'CANCELLED') throw error;
             console.error('PDF generation failed:', error);
             throw new Error('Failed to generate PDF report');
         }
@@ -58,10 +66,123 @@ class PdfService {
     }
 
     /**
-     * Get PDF generation status
+     * Get PDF generation status: { id, status, progress, message }
      */
     async getPDFStatus(pdfId) {
-        return this.apiService.get(`/pdf/status/${pdfId}`);
+        const template = Config.API.endpoints.pdfStatus || '/pdf/status/{id}';
+        return this.apiService.get(template.replace('{id}', encodeURIComponent(pdfId)));
+    }
+
+    /**
+     * Ask the server to stop a running job
+     */
+    async cancelJob(pdfId) {
+        const template = Config.API.endpoints.pdfCancel || '/pdf/cancel/{id}';
+        return this.apiService.post(template.replace('{id}', encodeURIComponent(pdfId)), {});
+    }
+
+    /**
+     * Whether a generate/status response means the file can be downloaded
+     */
+    isComplete(job) {
+        return COMPLETED_STATUSES.includes(job?.status);
+    }
+
+    /**
+     * Poll a job until it completes, backing off between polls
+     * @param {string} pdfId - Job id returned by generateDashboardPDF
+     * @param {Object} options - onProgress(status) callback, AbortSignal to stop polling
+     * @returns {Promise<Object>} - The final status response
+     */
+    async waitForJob(pdfId, { onProgress = null, signal = null } = {}) {
+        const { pollInterval, maxPollInterval, backoff, timeout } = Config.PDF.jobs;
+        const deadline = Date.now() + timeout;
+        let delay = pollInterval;
+        let failures = 0;
+
+        while (true) {
+            await this.wait(delay, signal);
+
+            let job = null;
+            try {
+                job = await this.getPDFStatus(pdfId);
+                failures = 0;
+            } catch (error) {
+                if (signal?.aborted) throw this.createCancelError(pdfId);
+                // Navigation aborts every pending request; that poll is simply skipped
+                if (error.type !== 'CANCELLED' && ++failures > Config.API.retryAttempts) {
+                    throw error;
+                }
+            }
+
+            // Cancelled while the status request was in flight
+            if (signal?.aborted) throw this.createCancelError(pdfId);
+
+            if (job) {
+                if (onProgress) onProgress(job);
+                if (this.isComplete(job)) return job;
+                if (job.status === 'cancelled') throw this.createCancelError(pdfId);
+                if (job.status === 'failed') throw new Error(job.error || 'PDF generation failed');
+            }
+
+            if (Date.now() + delay > deadline) {
+                throw new Error('PDF generation timed out');
+            }
+            delay = Math.min(delay * backoff, maxPollInterval);
+        }
+    }
+
+    /**
+     * Resolve after a delay; rejects early when the signal aborts
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createCancelError());
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(this.createCancelError());
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Same shape as ApiService cancel errors so callers can ignore them
+     */
+    createCancelError(pdfId = '') {
+        const error = new Error(`PDF job cancelled${pdfId ? `: ${pdfId}` : ''}`);
+        error.type = 'CANCELLED';
+        return error;
+    }
+
+    /**
+     * Completed exports, newest first
+     */
+    getRecentExports() {
+        try {
+            const raw = localStorage.getItem(this.recentKey);
+            return raw ? JSON.parse(raw) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Record a completed export, keeping the newest Config.PDF.jobs.recentLimit
+     */
+    addRecentExport({ id, title, dashboardType }) {
+        const entry = { id, title, dashboardType, completedAt: Date.now() };
+        const recent = [entry, ...this.getRecentExports().filter(item => item.id !== id)]
+            .slice(0, Config.PDF.jobs.recentLimit);
+        localStorage.setItem(this.recentKey, JSON.stringify(recent));
+        return entry;
+    }
+
+    clearRecentExports() {
+        localStorage.removeItem(this.recentKey);
     }
 }
 
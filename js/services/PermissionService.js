@@ -0,0 +1,112 @@
+/**
+ * Permission Service
+ * Resolves the signed-in user's role and permissions from the server
+ * (login response or /user/preferences) and answers access checks.
+ *
+ * Permissions are colon-separated strings such as
+ * `dashboard:opportunities:export` or `jobs:manage`; any segment may be `*`.
+ */
+
+import Config from '../config.js';
+
+class PermissionService {
+    constructor(apiService) {
+        this.apiService = apiService;
+        this.role = null;
+        this.permissions = [];
+        this.isLoaded = false;
+    }
+
+    /**
+     * Load permissions from the login response, falling back to /user/preferences
+     */
+    async load(loginResponse = null) {
+        let source = loginResponse?.user || null;
+
+        if (!source || (!source.role && !source.permissions)) {
+            try {
+                source = await this.apiService.getUserPreferences();
+            } catch (error) {
+                console.warn('Failed to load user permissions, using default role:', error);
+                source = null;
+            }
+        }
+
+        this.setFrom(source);
+        return this.getSnapshot();
+    }
+
+    /**
+     * Apply a role and/or explicit permission list
+     */
+    setFrom(source) {
+        const cfg = Config?.PERMISSIONS || {};
+        this.role = source?.role || cfg.defaultRole || 'viewer';
+        this.permissions = Array.isArray(source?.permissions)
+            ? source.permissions
+            : (cfg.roles?.[this.role] || []);
+        this.isLoaded = true;
+    }
+
+    /**
+     * Forget the current user's permissions (on logout)
+     */
+    clear() {
+        this.role = null;
+        this.permissions = [];
+        this.isLoaded = false;
+    }
+
+    /**
+     * Check a permission string against the granted patterns
+     */
+    can(permission) {
+        if (!this.isLoaded) return false;
+        return this.permissions.some(pattern => this.matches(pattern, permission));
+    }
+
+    /**
+     * Check an action on a dashboard ('view', 'export', 'email')
+     */
+    canDashboard(dashboardType, action = 'view') {
+        return this.can(`dashboard:${this.normalizeDashboard(dashboardType)}:${action}`);
+    }
+
+    /**
+     * Check whether the user may manage scheduled report jobs
+     */
+    canManageJobs() {
+        return this.can('jobs:manage');
+    }
+
+    /**
+     * Check whether the user may change shared settings such as stage probabilities
+     */
+    canManageSettings() {
+        return this.can('settings:manage');
+    }
+
+    /**
+     * Match a granted pattern (segments may be '*') against a permission
+     */
+    matches(pattern, permission) {
+        if (pattern === '*') return true;
+        const granted = pattern.split(':');
+        const wanted = permission.split(':');
+        if (granted.length !== wanted.length) return false;
+        return granted.every((segment, i) => segment === '*' || segment === wanted[i]);
+    }
+
+    /**
+     * Nav ids are kebab-case ('sales-orders'); permissions use config keys ('salesOrders')
+     */
+    normalizeDashboard(dashboardType) {
+        return String(dashboardType || '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    }
+
+    getSnapshot() {
+        return { role: this.role, permissions: [...this.permissions] };
+    }
+}
+
+export default PermissionService;
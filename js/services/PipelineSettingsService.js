@@ -0,0 +1,87 @@
+/**
+ * Pipeline Settings Service
+ * Stage win probabilities used to weight the opportunities pipeline.
+ * Defaults come from Config.PIPELINE; admin overrides are stored on the
+ * server at API.endpoints.pipelineSettings as { stageProbabilities: {...} }.
+ */
+
+import Config from '../config.js';
+
+class PipelineSettingsService {
+    constructor(apiService) {
+        this.apiService = apiService;
+        this.overrides = {};
+        this.isLoaded = false;
+    }
+
+    getEndpoint() {
+        return Config?.API?.endpoints?.pipelineSettings || '/settings/pipeline';
+    }
+
+    /**
+     * Load admin overrides; falls back to config defaults if unavailable
+     */
+    async load() {
+        try {
+            const response = await this.apiService.get(this.getEndpoint());
+            this.overrides = response?.stageProbabilities || {};
+        } catch (error) {
+            if (error.type === 'CANCELLED') throw error;
+            console.warn('Pipeline settings unavailable, using config defaults:', error);
+            this.overrides = {};
+        }
+        this.isLoaded = true;
+        return this.getProbabilities();
+    }
+
+    /**
+     * Config defaults merged with admin overrides
+     */
+    getProbabilities() {
+        return { ...(Config?.PIPELINE?.stageProbabilities || {}), ...this.overrides };
+    }
+
+    /**
+     * Win probability (0-1) for a status
+     */
+    getProbability(status) {
+        const probability = this.getProbabilities()[status];
+        return typeof probability === 'number' ? probability : (Config?.PIPELINE?.defaultProbability ?? 0);
+    }
+
+    /**
+     * Whether a status counts as closed pipeline
+     */
+    isClosed(status) {
+        return (Config?.PIPELINE?.closedStatuses || ['closed_won', 'closed_lost']).includes(status);
+    }
+
+    /**
+     * Save overrides (values between 0 and 1)
+     */
+    async save(probabilities) {
+        const stageProbabilities = {};
+        Object.entries(probabilities || {}).forEach(([status, value]) => {
+            const probability = parseFloat(value);
+            if (isNaN(probability) || probability < 0 || probability > 1) {
+                throw new Error(`Probability for "${status}" must be between 0% and 100%`);
+            }
+            stageProbabilities[status] = probability;
+        });
+
+        await this.apiService.put(this.getEndpoint(), { stageProbabilities });
+        this.overrides = stageProbabilities;
+        return this.getProbabilities();
+    }
+
+    /**
+     * Drop all overrides and go back to the config defaults
+     */
+    async reset() {
+        await this.apiService.put(this.getEndpoint(), { stageProbabilities: {} });
+        this.overrides = {};
+        return this.getProbabilities();
+    }
+}
+
+export default PipelineSettingsService;
@@ -0,0 +1,111 @@
+/**
+ * Session Service
+ * Tracks the signed-in user, idle timeout and the view to restore after re-login
+ */
+
+import Config from '../config.js';
+
+class SessionService {
+    constructor(apiService) {
+        this.apiService = apiService;
+        this.userKey = 'crm_user';
+        this.snapshotKey = 'crm_session_snapshot_v1';
+        this.idleTimer = null;
+        this.lastActivity = Date.now();
+        this.activityEvents = ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'];
+
+        this.recordActivity = this.recordActivity.bind(this);
+    }
+
+    // ===== USER =====
+
+    getUser() {
+        try {
+            const raw = localStorage.getItem(this.userKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    setUser(user) {
+        localStorage.setItem(this.userKey, JSON.stringify(user || {}));
+    }
+
+    clearUser() {
+        localStorage.removeItem(this.userKey);
+    }
+
+    // ===== VIEW SNAPSHOT =====
+
+    /**
+     * Remember the dashboard and its view state so they survive a lost token
+     */
+    saveSnapshot({ dashboard, filters = null, sort = null, record = null }) {
+        localStorage.setItem(this.snapshotKey, JSON.stringify({
+            dashboard,
+            filters,
+            sort,
+            record,
+            savedAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Read and clear the saved snapshot
+     */
+    consumeSnapshot() {
+        try {
+            const raw = localStorage.getItem(this.snapshotKey);
+            localStorage.removeItem(this.snapshotKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    clearSnapshot() {
+        localStorage.removeItem(this.snapshotKey);
+    }
+
+    // ===== IDLE TIMEOUT =====
+
+    /**
+     * Call onIdle once the user has been inactive for SESSION.idleTimeout
+     */
+    startIdleTimer(onIdle) {
+        this.stopIdleTimer();
+
+        const timeoutMs = Config?.SESSION?.idleTimeout || 0;
+        if (!timeoutMs) return;
+
+        this.lastActivity = Date.now();
+        this.activityEvents.forEach(evt => {
+            window.addEventListener(evt, this.recordActivity, { passive: true });
+        });
+
+        const checkEvery = Math.min(30000, timeoutMs);
+        this.idleTimer = setInterval(() => {
+            if (Date.now() - this.lastActivity >= timeoutMs) {
+                this.stopIdleTimer();
+                onIdle();
+            }
+        }, checkEvery);
+    }
+
+    stopIdleTimer() {
+        if (this.idleTimer) {
+            clearInterval(this.idleTimer);
+            this.idleTimer = null;
+        }
+        this.activityEvents.forEach(evt => {
+            window.removeEventListener(evt, this.recordActivity);
+        });
+    }
+
+    recordActivity() {
+        this.lastActivity = Date.now();
+    }
+}
+
+export default SessionService;
@@ -1,18 +1,29 @@
 /**
- * Admin View - Scheduler configuration
+ * Admin View - Scheduler configuration and pipeline stage probabilities
  */
 
 import BaseView from './BaseView.js';
+import SafeHTML from './SafeHTML.js';
+
+const { html } = SafeHTML;
 
 class AdminView extends BaseView {
     constructor() {
         super('dashboardContainer');
     }
 
-    generateHTML() {
-        const jobs = this.getJobs();
-        return `
+    generateHTML(data = {}) {
+        return html`
             <div class="dashboard-admin">
+                ${data.canManageJobs ? this.generateJobsSection() : ''}
+                ${data.canEditPipeline ? this.generateProbabilitiesSection(data.probabilities || {}) : ''}
+            </div>
+        `;
+    }
+
+    generateJobsSection() {
+        const jobs = this.getJobs();
+        return html`
                 <div class="kpi-grid">
                     <div class="kpi-card"><h3>Scheduled Jobs</h3><div class="kpi-value">${jobs.length}</div></div>
                 </div>
@@ -60,7 +71,7 @@ class AdminView extends BaseView {
                             </tr>
                         </thead>
                         <tbody>
-                            ${jobs.map(j => `
+                            ${jobs.map(j => html`
                                 <tr data-id="${j.id}">
                                     <td>${j.dashboardType}</td>
                                     <td>${Array.isArray(j.recipients) ? j.recipients.join(', ') : j.recipients}</td>
@@ -68,18 +79,42 @@ class AdminView extends BaseView {
                                     <td>${j.lastRun || '-'}</td>
                                     <td><button class="btn btn-secondary btn-delete">Delete</button></td>
                                 </tr>
-                            `).join('')}
+                            `)}
                         </tbody>
                     </table>
                 </div>
-            </div>
         `;
     }
 
+    generateProbabilitiesSection(probabilities) {
+        return html`
+                <div class="filters-section">
+                    <h2>Stage Win Probabilities</h2>
+                    <p class="section-help">Used to weight the opportunities pipeline. Applies to every user.</p>
+                    <form id="probabilitiesForm" class="filters-form">
+                        ${Object.entries(probabilities).map(([status, probability]) => html`
+                            <div class="filter-group">
+                                <label for="prob_${status}">${this.formatStatus(status)} (%)</label>
+                                <input id="prob_${status}" name="${status}" type="number" min="0" max="100" step="1" value="${Math.round(probability * 100)}" required />
+                            </div>
+                        `)}
+                        <button type="submit" class="btn btn-primary">Save Probabilities</button>
+                        <button type="button" class="btn btn-secondary" id="resetProbabilities">Reset to Defaults</button>
+                    </form>
+                </div>
+        `;
+    }
+
+    formatStatus(status) {
+        return status.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+
     bindElements() {
         this.elements = {
             jobForm: document.getElementById('jobForm'),
-            jobsTable: document.getElementById('jobsTable')
+            jobsTable: document.getElementById('jobsTable'),
+            probabilitiesForm: document.getElementById('probabilitiesForm'),
+            resetProbabilities: document.getElementById('resetProbabilities')
         };
     }
 
@@ -102,6 +137,22 @@ class AdminView extends BaseView {
                 if (id) this.onDeleteJob?.(id);
             });
         }
+        if (this.elements.probabilitiesForm) {
+            this.elements.probabilitiesForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const values = Object.fromEntries(new FormData(e.target));
+                const probabilities = {};
+                Object.entries(values).forEach(([status, percent]) => {
+                    probabilities[status] = parseFloat(percent) / 100;
+                });
+                this.onSaveProbabilities?.(probabilities);
+            });
+        }
+        if (this.elements.resetProbabilities) {
+            this.elements.resetProbabilities.addEventListener('click', () => {
+                this.onResetProbabilities?.();
+            });
+        }
     }
 
     getJobs() {
@@ -3,11 +3,27 @@
  * Provides common functionality for all views
  */
 
+import SafeHTML from './SafeHTML.js';
+
+const { html } = SafeHTML;
+
 class BaseView {
     constructor(containerId) {
         this.containerId = containerId;
         this.elements = {};
         this.isRendered = false;
+        this.features = null; // FeatureFlagService, set by the controller
+        this.sortState = null; // { key, direction: 'ascending' | 'descending' }
+        this.selectedRecordId = null;
+        this.scrollTargetId = null; // Element to scroll to after the next render (chart drill-down)
+        this.structureKey = null; // getStructureKey() of the last full render
+    }
+
+    /**
+     * Check a global feature flag (enabled when no flag service is attached)
+     */
+    isFeatureEnabled(flag) {
+        return this.features ? this.features.isEnabled(flag) : true;
     }
 
     /**
@@ -21,12 +37,16 @@ class BaseView {
         }
 
         try {
-            const html = this.generateHTML(data);
-            container.innerHTML = html;
+            container.innerHTML = this.generateHTML(data);
+            container.classList.remove('is-updating');
+            this.structureKey = this.getStructureKey(data);
             this.bindElements();
             this.bindEvents();
+            this.applySortState();
+            this.highlightSelectedRow();
             this.isRendered = true;
             this.onRenderComplete(data);
+            this.scrollToTarget();
         } catch (error) {
             console.error('Error rendering view:', error);
             this.showError('Failed to render view');
@@ -54,6 +74,460 @@ class BaseView {
         throw new Error('bindEvents method must be implemented by child class');
     }
 
+    /**
+     * Re-apply this.sortState after a render (overridden by sortable views)
+     */
+    applySortState() {
+        // Child classes with sortable tables override this
+    }
+
+    /**
+     * Select a table row by record id and notify the controller
+     */
+    selectRecord(recordId, notify = true) {
+        this.selectedRecordId = recordId || null;
+        this.highlightSelectedRow();
+
+        if (notify && this.onRecordSelect) {
+            this.onRecordSelect(this.selectedRecordId);
+        }
+    }
+
+    /**
+     * Mark the row matching selectedRecordId
+     */
+    highlightSelectedRow() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.querySelectorAll('tr[data-record-id]').forEach(row => {
+            const selected = row.dataset.recordId === this.selectedRecordId;
+            row.classList.toggle('is-selected', selected);
+            row.setAttribute('aria-selected', String(selected));
+        });
+    }
+
+    /**
+     * Toggle row selection on click for rows with data-record-id
+     */
+    bindRowSelection(table) {
+        const tbody = table?.querySelector('tbody');
+        if (!tbody) return;
+
+        tbody.addEventListener('click', (e) => {
+            // Customer links open the customer drawer instead
+            if (e.target.closest('.customer-link')) return;
+            const row = e.target.closest('tr[data-record-id]');
+            if (!row) return;
+            const recordId = row.dataset.recordId;
+            this.selectRecord(recordId === this.selectedRecordId ? null : recordId);
+        });
+    }
+
+    /**
+     * Table export definition (see ExportService): columns [{ key, label, type,
+     * value, selected }] and, for tables with line items, lineItems(record) => items.
+     * Columns with selected: false start unticked in the export dialog.
+     */
+    getExportConfig() {
+        return { columns: [], lineItems: null };
+    }
+
+    /**
+     * Records of the table in their current filtered and sorted order
+     */
+    getExportRecords() {
+        return [];
+    }
+
+    /**
+     * Dashboard content for the client-side PDF report (see PdfReportBuilder),
+     * read from the rendered page: filters, KPI cards, chart images and tables
+     */
+    getReportContent() {
+        const container = document.getElementById(this.containerId);
+        if (!container || !this.isRendered) {
+            return { filters: [], kpis: [], charts: [], tables: [] };
+        }
+
+        return {
+            filters: this.getReportFilters(container),
+            kpis: Array.from(container.querySelectorAll('.kpi-card')).map(card => {
+                const trend = card.querySelector('.kpi-trend');
+                return {
+                    label: card.querySelector('h3')?.textContent.trim() || '',
+                    value: card.querySelector('.kpi-value')?.textContent.trim() || '',
+                    trend: trend?.textContent.trim() || '',
+                    tone: trend?.classList.contains('trend-up') ? 'up' : trend?.classList.contains('trend-down') ? 'down' : ''
+                };
+            }),
+            charts: this.getReportCharts(),
+            tables: this.getReportTables(container)
+        };
+    }
+
+    /**
+     * Active filters as "Label: value", including chips (e.g. a drill-down period)
+     */
+    getReportFilters(container) {
+        const filters = [];
+        const fieldNames = new Set();
+
+        container.querySelectorAll('.filters-form select').forEach(select => {
+            fieldNames.add(select.name);
+            const label = container.querySelector(`label[for="${select.id}"]`)?.textContent.replace(/:\s*$/, '').trim();
+            const option = select.options[select.selectedIndex];
+            if (label && option) {
+                filters.push(`${label}: ${option.textContent.trim()}`);
+            }
+        });
+        container.querySelectorAll('.filter-chip').forEach(chip => {
+            if (!fieldNames.has(chip.dataset.chipKey)) {
+                filters.push(chip.textContent.replace('×', '').trim());
+            }
+        });
+        return filters;
+    }
+
+    /**
+     * Image of every chart on the page, titled by its panel heading
+     */
+    getReportCharts() {
+        return Object.values(this.charts || {})
+            .filter(chart => chart?.canvas?.isConnected && chart.canvas.width && chart.canvas.height)
+            .map(chart => ({
+                title: chart.canvas.closest('.chart-container, .table-container')?.querySelector('h2')?.textContent.trim() || '',
+                image: chart.toBase64Image ? chart.toBase64Image() : chart.canvas.toDataURL('image/png'),
+                width: chart.canvas.width,
+                height: chart.canvas.height
+            }));
+    }
+
+    /**
+     * Text of the dashboard tables (drawers excluded)
+     */
+    getReportTables(container) {
+        return Array.from(container.querySelectorAll('table.data-table'))
+            .filter(table => !table.closest('.drawer-overlay'))
+            .map(table => {
+                const heading = table.previousElementSibling?.tagName === 'H3'
+                    ? table.previousElementSibling
+                    : table.closest('.table-container')?.querySelector('h2');
+                return {
+                    id: table.id,
+                    title: heading?.textContent.trim() || '',
+                    columns: Array.from(table.querySelectorAll('thead th')).map(th => ({
+                        label: th.textContent.trim(),
+                        align: th.classList.contains('text-right') ? 'right' : 'left'
+                    })),
+                    rows: this.readTableRows(table.querySelector('tbody'))
+                };
+            });
+    }
+
+    /**
+     * Cell text of each body row; colspan cells are padded so columns line up
+     */
+    readTableRows(tbody) {
+        if (!tbody) return [];
+        return Array.from(tbody.rows).map(row => Array.from(row.cells).flatMap(cell => [
+            cell.textContent.replace(/\s+/g, ' ').trim(),
+            ...Array(Math.max(0, cell.colSpan - 1)).fill('')
+        ]));
+    }
+
+    /**
+     * Customer name as a link that opens the customer 360 drawer
+     */
+    formatCustomerLink(record, fallback = 'Unknown Customer') {
+        const name = record?.customer_name || fallback;
+        const id = record?.customer_email || record?.customer_name;
+        if (!id) return html`${name}`;
+        return html`<button type="button" class="customer-link" data-customer-id="${id}">${name}</button>`;
+    }
+
+    /**
+     * Apply a filter from a chart click; the view scrolls to tableId once it re-renders
+     */
+    drillDown(filters, tableId) {
+        if (!this.onFiltersChange) return;
+        this.scrollTargetId = tableId;
+        this.onFiltersChange(filters);
+    }
+
+    /**
+     * Chart.js onClick / onHover options that drill down on the clicked element
+     * @param {Function} toFilters - (index) => filters for the clicked label, or null to ignore
+     */
+    getDrillDownOptions(toFilters, tableId) {
+        return {
+            onClick: (event, elements) => {
+                if (!elements.length) return;
+                const filters = toFilters(elements[0].index);
+                if (filters) {
+                    this.drillDown(filters, tableId);
+                }
+            },
+            onHover: (event, elements) => {
+                if (event.native?.target) {
+                    event.native.target.style.cursor = elements.length ? 'pointer' : 'default';
+                }
+            }
+        };
+    }
+
+    /**
+     * Scroll to the element requested by a drill-down
+     */
+    scrollToTarget() {
+        if (!this.scrollTargetId) return;
+        const target = document.getElementById(this.scrollTargetId);
+        this.scrollTargetId = null;
+        target?.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Removable breadcrumb chips for active filters
+     * @param {Array} chips - [{ key, label, reset }]; removing a chip sets key back to reset
+     */
+    generateFilterChips(chips) {
+        // No whitespace inside the wrapper, so it is :empty (hidden) without chips
+        const buttons = chips.map(chip => html`<button type="button" class="filter-chip" data-chip-key="${chip.key}" data-chip-reset="${chip.reset ?? 'all'}" aria-label="Remove filter ${chip.label}">${chip.label} <span aria-hidden="true">&times;</span></button>`);
+        return html`<div class="filter-chips" data-region="filterChips" aria-label="Active filters">${buttons}</div>`;
+    }
+
+    /**
+     * Remove a filter when its chip is clicked (delegated, chips are patched in place)
+     */
+    bindFilterChips() {
+        const container = document.getElementById(this.containerId);
+        container?.querySelector('.filter-chips')?.addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (chip && this.onFiltersChange) {
+                this.onFiltersChange({ [chip.dataset.chipKey]: chip.dataset.chipReset });
+            }
+        });
+    }
+
+    /**
+     * "Compare KPIs to" selector shown above the KPI cards
+     */
+    generateComparisonSelect(filters = {}) {
+        const compareTo = filters.compareTo || 'previous';
+        return html`
+            <div class="kpi-toolbar">
+                <label for="compareTo">Compare KPIs to</label>
+                <select id="compareTo" name="compareTo">
+                    <option value="previous" ${compareTo === 'previous' ? 'selected' : ''}>Previous period</option>
+                    <option value="lastYear" ${compareTo === 'lastYear' ? 'selected' : ''}>Same period last year</option>
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Forward comparison selector changes to the controller
+     */
+    bindComparisonSelect() {
+        const select = document.getElementById('compareTo');
+        if (!select) return;
+
+        select.addEventListener('change', (e) => {
+            if (this.onCompareChange) {
+                this.onCompareChange(e.target.value);
+            }
+        });
+    }
+
+    /**
+     * KPI trend line for one metric of a model comparison
+     * @param {Object} comparison - data.comparison from the model
+     * @param {string} key - Summary key
+     * @param {Object} options - unit: 'percent' | 'points' | 'days' | 'hours';
+     *                           invert: true when a decrease is good (e.g. age)
+     */
+    formatKpiTrend(comparison, key, { unit = 'percent', invert = false } = {}) {
+        if (!comparison) return '';
+        if (!comparison.hasData) {
+            return html`<div class="kpi-trend">– No data ${comparison.label.replace(/^vs /, 'for ')}</div>`;
+        }
+
+        const metric = comparison.metrics?.[key];
+        if (!metric) return '';
+        if (metric.direction === 'flat') {
+            return html`<div class="kpi-trend">→ No change ${comparison.label}</div>`;
+        }
+
+        const amount = Math.abs(metric.delta);
+        let change;
+        switch (unit) {
+            case 'points':
+                change = `${Math.round(amount)} pts`;
+                break;
+            case 'days':
+                change = `${Math.round(amount)} days`;
+                break;
+            case 'hours':
+                change = `${Math.round(amount)} hrs`;
+                break;
+            default:
+                change = metric.percent === null ? 'from 0' : `${Math.round(Math.abs(metric.percent))}%`;
+        }
+
+        // trend-up / trend-down colour the change as good / bad, the arrow shows direction
+        const good = invert ? metric.direction === 'down' : metric.direction === 'up';
+        const arrow = metric.direction === 'up' ? '↑' : '↓';
+        return html`<div class="kpi-trend ${good ? 'trend-up' : 'trend-down'}">${arrow} ${change} ${comparison.label}</div>`;
+    }
+
+    /**
+     * Create a chart or update the existing one in place. Charts on the same canvas
+     * get new labels, datasets and options with an animated transition; when the
+     * canvas was re-rendered, hidden series and zoom carry over to the new chart.
+     * Charts are kept in this.charts[key].
+     */
+    renderChart(key, canvas, config) {
+        this.charts = this.charts || {};
+        const existing = this.charts[key];
+        if (!canvas) return null;
+
+        if (existing && existing.canvas === canvas && existing.config.type === config.type) {
+            const state = this.getChartState(existing);
+            existing.data.labels = config.data.labels;
+
+            // Reuse dataset objects so Chart.js keeps their metadata and animates the change
+            const datasets = existing.data.datasets;
+            config.data.datasets.forEach((dataset, index) => {
+                if (datasets[index]) {
+                    Object.keys(datasets[index]).forEach(prop => delete datasets[index][prop]);
+                    Object.assign(datasets[index], dataset);
+                } else {
+                    datasets.push(dataset);
+                }
+            });
+            datasets.length = config.data.datasets.length;
+
+            existing.options = config.options;
+            this.applyChartState(existing, state);
+            existing.update();
+            this.restoreChartZoom(existing, state);
+            return existing;
+        }
+
+        const state = existing ? this.getChartState(existing) : null;
+        existing?.destroy();
+
+        const chart = new Chart(canvas, config);
+        this.charts[key] = chart;
+        if (config.options?.plugins?.zoom) {
+            // Look the chart up on click: a later render may have replaced it
+            canvas.addEventListener('dblclick', () => this.charts[key]?.resetZoom?.());
+        }
+        if (state) {
+            this.applyChartState(chart, state);
+            chart.update('none');
+            this.restoreChartZoom(chart, state);
+        }
+        return chart;
+    }
+
+    /**
+     * Generate colors for charts (the palette repeats after ten)
+     */
+    generateColors(count) {
+        const baseColors = [
+            '#4361ee', '#4cc9f0', '#2ecc71', '#f39c12', '#e74c3c',
+            '#9b59b6', '#1abc9c', '#34495e', '#e67e22', '#95a5a6'
+        ];
+        return Array.from({ length: count }, (_, i) => baseColors[i % baseColors.length]);
+    }
+
+    /**
+     * Zoom and pan along the x axis (chartjs-plugin-zoom): mouse wheel or pinch
+     * to zoom, drag to pan, double-click to reset. Goes in options.plugins.zoom.
+     */
+    getZoomOptions() {
+        return {
+            zoom: {
+                wheel: { enabled: true },
+                pinch: { enabled: true },
+                mode: 'x'
+            },
+            pan: {
+                enabled: true,
+                mode: 'x'
+            }
+        };
+    }
+
+    /**
+     * Stable key of a dataset for carrying legend toggles over: its id, else its
+     * label. Give datasets whose label changes (e.g. cumulative mode) an id.
+     */
+    getDatasetKey(dataset) {
+        return dataset.id ?? dataset.label;
+    }
+
+    /**
+     * Legend toggles (by dataset key and by data label) and zoom bounds of a chart
+     */
+    getChartState(chart) {
+        const labels = chart.data.labels || [];
+        return {
+            hiddenDatasets: chart.data.datasets
+                .filter((dataset, index) => !chart.isDatasetVisible(index))
+                .map(dataset => this.getDatasetKey(dataset)),
+            hiddenLabels: typeof chart.getDataVisibility === 'function'
+                ? labels.filter((label, index) => !chart.getDataVisibility(index))
+                : [],
+            // Set when chartjs-plugin-zoom is loaded
+            zoom: typeof chart.getZoomedScaleBounds === 'function' && chart.isZoomedOrPanned?.()
+                ? chart.getZoomedScaleBounds()
+                : null
+        };
+    }
+
+    /**
+     * Re-apply legend toggles after labels or datasets changed
+     */
+    applyChartState(chart, state) {
+        chart.data.datasets.forEach((dataset, index) => {
+            chart.setDatasetVisibility?.(index, !state.hiddenDatasets.includes(this.getDatasetKey(dataset)));
+        });
+
+        if (typeof chart.getDataVisibility === 'function') {
+            (chart.data.labels || []).forEach((label, index) => {
+                const visible = !state.hiddenLabels.includes(label);
+                if (chart.getDataVisibility(index) !== visible) {
+                    chart.toggleDataVisibility(index);
+                }
+            });
+        }
+    }
+
+    /**
+     * Restore zoomed / panned scale bounds (chartjs-plugin-zoom)
+     */
+    restoreChartZoom(chart, state) {
+        if (!state?.zoom || typeof chart.zoomScale !== 'function') return;
+        Object.entries(state.zoom).forEach(([scaleId, bounds]) => {
+            chart.zoomScale(scaleId, bounds, 'none');
+        });
+    }
+
+    /**
+     * Destroy charts whose canvas is no longer in the page (e.g. a section that
+     * is not rendered any more), so they do not leak
+     */
+    pruneCharts() {
+        Object.entries(this.charts || {}).forEach(([key, chart]) => {
+            if (chart && !chart.canvas?.isConnected) {
+                chart.destroy();
+                delete this.charts[key];
+            }
+        });
+    }
+
     /**
      * Called after successful render
      */
@@ -67,6 +541,9 @@ class BaseView {
     showLoading() {
         const container = document.getElementById(this.containerId);
         if (container) {
+            // The rendered dashboard is replaced; the next update() must render again
+            this.isRendered = false;
+            container.classList.remove('is-updating');
             container.innerHTML = `
                 <div class="loading-state">
                     <div class="loading-spinner"></div>
@@ -82,7 +559,9 @@ class BaseView {
     showError(message) {
         const container = document.getElementById(this.containerId);
         if (container) {
-            container.innerHTML = `
+            this.isRendered = false;
+            container.classList.remove('is-updating');
+            container.innerHTML = html`
                 <div class="error-state">
                     <div class="error-icon">⚠️</div>
                     <h3>Error Loading Data</h3>
@@ -101,7 +580,9 @@ class BaseView {
     showEmptyState(message = 'No data available') {
         const container = document.getElementById(this.containerId);
         if (container) {
-            container.innerHTML = `
+            this.isRendered = false;
+            container.classList.remove('is-updating');
+            container.innerHTML = html`
                 <div class="empty-state">
                     <div class="empty-icon">📊</div>
                     <h3>No Data</h3>
@@ -115,13 +596,14 @@ class BaseView {
      * Update specific parts of the view without full re-render
      */
     update(data) {
-        if (!this.isRendered) {
+        if (!this.isRendered || this.getStructureKey(data) !== this.structureKey) {
             this.render(data);
             return;
         }
 
         try {
             this.onUpdate(data);
+            document.getElementById(this.containerId)?.classList.remove('is-updating');
         } catch (error) {
             console.error('Error updating view:', error);
             // Fall back to full render
@@ -130,10 +612,83 @@ class BaseView {
     }
 
     /**
-     * Handle view updates (can be overridden by child classes)
+     * Everything that changes the page layout (sections shown, filter options);
+     * update() only re-renders the whole view when this changes
+     */
+    getStructureKey(data) {
+        return '';
+    }
+
+    /**
+     * Keep the rendered view while new data loads; shows the loading state
+     * when nothing has been rendered yet
+     */
+    showUpdating() {
+        const container = document.getElementById(this.containerId);
+        if (!this.isRendered || !container) {
+            this.showLoading();
+            return;
+        }
+        container.classList.add('is-updating');
+    }
+
+    /**
+     * Force the next update() to do a full render
+     */
+    invalidate() {
+        this.isRendered = false;
+    }
+
+    /**
+     * Partial update: regenerate the HTML and swap only the elements marked
+     * data-region="<name>" that changed. Everything else (filter form, focus,
+     * scroll position, charts) stays in place. Views without regions re-render.
      */
     onUpdate(data) {
-        // Child classes can implement partial updates here
+        if (!this.patchRegions(this.generateHTML(data))) {
+            this.render(data);
+            return;
+        }
+
+        this.syncFormValues(data?.filters || {});
+        this.applySortState();
+        this.highlightSelectedRow();
+    }
+
+    /**
+     * Replace the content of changed regions
+     * @returns {boolean} false when the HTML has no regions
+     */
+    patchRegions(markup) {
+        const container = document.getElementById(this.containerId);
+        const template = document.createElement('template');
+        template.innerHTML = markup;
+
+        const regions = template.content.querySelectorAll('[data-region]');
+        regions.forEach(next => {
+            const current = container.querySelector(`[data-region="${next.dataset.region}"]`);
+            if (!current) {
+                throw new Error(`Region "${next.dataset.region}" is not rendered`);
+            }
+            if (current.innerHTML !== next.innerHTML) {
+                current.innerHTML = next.innerHTML;
+            }
+        });
+        return regions.length > 0;
+    }
+
+    /**
+     * Reflect filters changed elsewhere (URL, chips, drill-down) in the
+     * untouched filter form and the KPI comparison select
+     */
+    syncFormValues(filters) {
+        const container = document.getElementById(this.containerId);
+        container?.querySelectorAll('.filters-form [name], #compareTo').forEach(field => {
+            const value = filters[field.name];
+            if (value !== undefined && field.value !== String(value)) {
+                field.value = value;
+            }
+        });
     }
 
     /**
@@ -0,0 +1,109 @@
+/**
+ * Customer Drawer View
+ * Customer 360 side panel: profile, open opportunities, orders and tickets
+ */
+
+import BaseView from './BaseView.js';
+import SafeHTML from './SafeHTML.js';
+
+const { html } = SafeHTML;
+
+class CustomerDrawerView extends BaseView {
+    constructor() {
+        super('customerDrawerBody');
+    }
+
+    /**
+     * Generate HTML for one customer (see CustomerService.getCustomer)
+     */
+    generateHTML(profile) {
+        const customer = profile.customer || {};
+
+        return html`
+            <div class="customer-profile">
+                <h2 id="customerDrawerTitle">${customer.name || 'Unknown Customer'}</h2>
+                <p class="customer-contact">
+                    ${[customer.email, customer.phone].filter(Boolean).join(' · ') || 'No contact details'}
+                </p>
+                <div class="customer-stats">
+                    <div class="customer-stat">
+                        <span class="customer-stat-label">Lifetime Order Value</span>
+                        <span class="customer-stat-value">${this.formatCurrency(profile.lifetimeOrderValue)}</span>
+                    </div>
+                    <div class="customer-stat">
+                        <span class="customer-stat-label">Rating</span>
+                        <span class="customer-stat-value">${customer.rating || '–'}</span>
+                    </div>
+                    <div class="customer-stat">
+                        <span class="customer-stat-label">Type</span>
+                        <span class="customer-stat-value">${customer.type || '–'}</span>
+                    </div>
+                </div>
+            </div>
+
+            <section class="drawer-section">
+                <h3>Open Opportunities (${profile.openOpportunities.length} of ${profile.totalOpportunities})</h3>
+                ${this.generateList(profile.openOpportunities, opp => html`
+                    <li>
+                        <span>${opp.opportunity_id} · ${this.formatDate(opp.date_created)}</span>
+                        <span class="status-badge status-${opp.status}">${this.formatStatus(opp.status)}</span>
+                        <strong>${this.formatCurrency(parseFloat(opp.amount) || 0)}</strong>
+                    </li>
+                `, 'No open opportunities')}
+            </section>
+
+            <section class="drawer-section">
+                <h3>Sales Orders (${profile.orders.length})</h3>
+                ${this.generateList(profile.orders, order => html`
+                    <li>
+                        <span>${order.order_number || order.order_id} · ${this.formatDate(order.date_created)}</span>
+                        <span class="status-badge status-${order.status}">${this.formatStatus(order.status)}</span>
+                        <strong>${this.formatCurrency(parseFloat(order.total_order_value) || 0)}</strong>
+                    </li>
+                `, 'No sales orders')}
+            </section>
+
+            <section class="drawer-section">
+                <h3>Helpdesk Tickets (${profile.tickets.length})</h3>
+                ${this.generateList(profile.tickets, ticket => html`
+                    <li>
+                        <span>${ticket.ticket_id || ticket.id} · ${this.formatDate(ticket.date_created)}</span>
+                        <span class="status-badge status-${ticket.status}">${this.formatStatus(ticket.status)}</span>
+                        <span>${ticket.comments || ticket.category || ''}</span>
+                    </li>
+                `, 'No helpdesk tickets')}
+            </section>
+        `;
+    }
+
+    /**
+     * Render a record list or an empty message
+     */
+    generateList(records, renderItem, emptyMessage) {
+        if (!records.length) {
+            return html`<p class="drawer-empty">${emptyMessage}</p>`;
+        }
+        return html`<ul class="drawer-list">${records.map(renderItem)}</ul>`;
+    }
+
+    /**
+     * Format a status for display
+     */
+    formatStatus(status) {
+        return String(status || 'unknown').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    /**
+     * No interactive elements inside the drawer body
+     */
+    bindEvents() {}
+
+    /**
+     * Message shown when the lookup found nothing
+     */
+    showNotFound(name) {
+        this.showEmptyState(`No records found for ${name || 'this customer'}.`);
+    }
+}
+
+export default CustomerDrawerView;
@@ -0,0 +1,117 @@
+/**
+ * Export Jobs View
+ * Progress notifications for running PDF jobs and the Recent Exports panel
+ */
+
+import BaseView from './BaseView.js';
+import SafeHTML from './SafeHTML.js';
+
+const { html } = SafeHTML;
+
+class ExportJobsView extends BaseView {
+    constructor() {
+        super('recentExportsBody');
+        this.jobListId = 'pdfJobList';
+        this.onDownload = null; // Called with an export id
+        this.onCancel = null; // Called with a running job id
+    }
+
+    /**
+     * Generate HTML for the Recent Exports panel (see PdfService.getRecentExports)
+     */
+    generateHTML(exports) {
+        if (!exports.length) {
+            return html`<p class="drawer-empty">No exports yet. Completed PDF reports appear here.</p>`;
+        }
+
+        return html`
+            <ul class="drawer-list recent-exports">
+                ${exports.map(entry => html`
+                    <li>
+                        <span>
+                            <strong>${entry.title}</strong><br>
+                            <small>${this.formatDate(entry.completedAt)} · ${this.formatTime(entry.completedAt)}</small>
+                        </span>
+                        <button type="button" class="btn btn-secondary" data-export-id="${entry.id}">⬇️ Download</button>
+                    </li>
+                `)}
+            </ul>
+        `;
+    }
+
+    bindEvents() {
+        const container = document.getElementById(this.containerId);
+        container?.querySelectorAll('[data-export-id]').forEach(button => {
+            button.addEventListener('click', () => this.onDownload?.(button.dataset.exportId));
+        });
+    }
+
+    /**
+     * Add a persistent progress notification for a submitted job
+     */
+    showJob(job, title) {
+        const list = document.getElementById(this.jobListId);
+        if (!list) return;
+
+        const item = document.createElement('div');
+        item.className = 'job-notification';
+        item.dataset.jobId = job.id;
+        item.innerHTML = html`
+            <div class="notification-content">
+                <span class="notification-icon">📊</span>
+                <div class="job-details">
+                    <span class="notification-message">${title}</span>
+                    <div class="job-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100">
+                        <div class="job-progress-bar"></div>
+                    </div>
+                    <small class="job-status"></small>
+                </div>
+                <button type="button" class="btn btn-secondary job-cancel">Cancel</button>
+            </div>
+        `;
+        item.querySelector('.job-cancel').addEventListener('click', (e) => {
+            e.target.disabled = true;
+            this.onCancel?.(job.id);
+        });
+
+        list.appendChild(item);
+        this.updateJob(job);
+    }
+
+    /**
+     * Reflect a status response in the job's notification
+     */
+    updateJob({ id, progress = 0, message = 'Waiting in queue' }) {
+        const item = this.getJobElement(id);
+        if (!item) return;
+
+        const percent = Math.max(0, Math.min(100, Number(progress) || 0));
+        item.querySelector('.job-progress').setAttribute('aria-valuenow', String(percent));
+        item.querySelector('.job-progress-bar').style.width = `${percent}%`;
+        item.querySelector('.job-status').textContent = `${message} · ${percent}%`;
+    }
+
+    /**
+     * Remove a job's notification once it completed, failed or was cancelled
+     */
+    removeJob(id) {
+        this.getJobElement(id)?.remove();
+    }
+
+    /**
+     * Format the time of day of a timestamp
+     */
+    formatTime(timestamp) {
+        return new Date(parseInt(timestamp)).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    }
+
+    /**
+     * Notification element of a running job
+     */
+    getJobElement(id) {
+        const list = document.getElementById(this.jobListId);
+        return Array.from(list?.children || []).find(item => item.dataset.jobId === id) || null;
+    }
+}
+
+export default ExportJobsView;
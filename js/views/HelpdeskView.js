@@ -3,62 +3,34 @@
  */
 
 import BaseView from './BaseView.js';
+import SafeHTML from './SafeHTML.js';
+
+const { html } = SafeHTML;
 
 class HelpdeskView extends BaseView {
     constructor() {
         super('dashboardContainer');
         this.charts = {};
+        this.tickets = [];
     }
 
     generateHTML(data = {}) {
         const summary = data?.summary || {};
         const tickets = data?.tickets || [];
         const filters = data?.filters || {};
-        const assignees = this.getUniqueAssignees(tickets);
+        const assignees = data?.assigneeOptions || this.getUniqueAssignees(tickets);
+        this.tickets = tickets;
 
-        return `
+        return html`
             <div class="dashboard-helpdesk">
                 <!-- KPI Cards -->
-                <div class="kpi-grid">
-                    ${this.generateKPICards(summary)}
+                ${this.generateComparisonSelect(filters)}
+                <div class="kpi-grid" data-region="kpis">
+                    ${this.generateKPICards(summary, data?.comparison)}
                 </div>
 
                 <!-- Filters -->
-                <div class="filters-section">
-                    <form id="helpdeskFilters" class="filters-form">
-                        <div class="filter-group">
-                            <label for="dateRange">Date Range:</label>
-                            <select id="dateRange" name="dateRange">
-                                <option value="7" ${filters.dateRange === '7' ? 'selected' : ''}>Last 7 Days</option>
-                                <option value="30" ${filters.dateRange === '30' ? 'selected' : ''}>Last 30 Days</option>
-                                <option value="90" ${filters.dateRange === '90' ? 'selected' : ''}>Last Quarter</option>
-                                <option value="365" ${filters.dateRange === '365' ? 'selected' : ''}>Last Year</option>
-                            </select>
-                        </div>
-                        <div class="filter-group">
-                            <label for="status">Status:</label>
-                            <select id="status" name="status">
-                                <option value="all" ${filters.status === 'all' ? 'selected' : ''}>All Statuses</option>
-                                <option value="open" ${filters.status === 'open' ? 'selected' : ''}>Open</option>
-                                <option value="in_progress" ${filters.status === 'in_progress' ? 'selected' : ''}>In Progress</option>
-                                <option value="pending" ${filters.status === 'pending' ? 'selected' : ''}>Pending</option>
-                                <option value="closed" ${filters.status === 'closed' ? 'selected' : ''}>Closed</option>
-                            </select>
-                        </div>
-                        <div class="filter-group">
-                            <label for="assignedTo">Assigned To:</label>
-                            <select id="assignedTo" name="assignedTo">
-                                <option value="all" ${filters.assignedTo === 'all' ? 'selected' : ''}>All Assignees</option>
-                                ${assignees.map(name => `<option value="${name}" ${filters.assignedTo === name ? 'selected' : ''}>${name}</option>`).join('')}
-                            </select>
-                        </div>
-                        <div class="filter-group">
-                            <label for="category">Category:</label>
-                            <input type="text" id="category" name="category" value="${filters.category || ''}" placeholder="e.g. general inquiry">
-                        </div>
-                        <button type="submit" class="btn btn-primary">Apply Filters</button>
-                    </form>
-                </div>
+                ${this.isFeatureEnabled('customFilters') ? this.generateFilters(filters, assignees) : ''}
 
                 <!-- Charts -->
                 <div class="charts-grid">
@@ -68,6 +40,7 @@ class HelpdeskView extends BaseView {
                             <canvas id="statusChart"></canvas>
                         </div>
                     </div>
+                    ${this.isFeatureEnabled('advancedCharts') ? html`
                     <div class="chart-container">
                         <h2>Tickets by Category</h2>
                         <div class="chart-wrapper">
@@ -80,16 +53,18 @@ class HelpdeskView extends BaseView {
                             <canvas id="assigneeChart"></canvas>
                         </div>
                     </div>
+                    ` : ''}
                 </div>
 
                 <!-- Tickets Table -->
-                <div class="table-container">
+                <div class="table-container" id="ticketsTableSection">
                     <div class="table-header">
                         <h2>Recent Tickets</h2>
                         <div class="table-actions">
-                            <span class="table-count">Showing ${tickets.length} tickets</span>
+                            <span class="table-count" data-region="tableCount">Showing ${tickets.length} tickets</span>
                         </div>
                     </div>
+                    ${this.generateFilterChips(this.getFilterChips(filters))}
                     <div class="table-scroll">
                         <table class="data-table" id="ticketsTable">
                             <thead>
@@ -104,19 +79,19 @@ class HelpdeskView extends BaseView {
                                     <th>Comments</th>
                                 </tr>
                             </thead>
-                            <tbody>
-                                ${tickets.map(t => `
-                                    <tr>
+                            <tbody data-region="tableRows">
+                                ${tickets.map(t => html`
+                                    <tr data-record-id="${t.ticket_id}">
                                         <td>${t.ticket_id}</td>
                                         <td>${this.formatDate(t.date_created)}</td>
-                                        <td>${t.customer_name}</td>
+                                        <td>${this.formatCustomerLink(t, 'Unknown')}</td>
                                         <td>${t.assigned_to}</td>
                                         <td><span class="status-badge status-${t.status}">${this.formatStatus(t.status)}</span></td>
                                         <td>${t.category || 'General'}</td>
                                         <td>${t.age || '0'}</td>
                                         <td>${t.comments || ''}</td>
                                     </tr>
-                                `).join('')}
+                                `)}
                             </tbody>
                         </table>
                     </div>
@@ -125,27 +100,94 @@ class HelpdeskView extends BaseView {
         `;
     }
 
-    generateKPICards(summary) {
-        return `
+    /**
+     * Sections shown and filter options; a change needs a full render
+     */
+    getStructureKey(data) {
+        return JSON.stringify([
+            this.isFeatureEnabled('customFilters'),
+            this.isFeatureEnabled('advancedCharts'),
+            data?.assigneeOptions
+        ]);
+    }
+
+    /**
+     * Breadcrumb chips for the filters a chart drill-down can set
+     */
+    getFilterChips(filters) {
+        const chips = [];
+        if (filters.status && filters.status !== 'all') chips.push({ key: 'status', label: `Status: ${this.formatStatus(filters.status)}` });
+        if (filters.category && filters.category !== 'all') chips.push({ key: 'category', label: `Category: ${filters.category}` });
+        if (filters.assignedTo && filters.assignedTo !== 'all') chips.push({ key: 'assignedTo', label: `Assigned to: ${filters.assignedTo}` });
+        return chips;
+    }
+
+    generateFilters(filters, assignees) {
+        return html`
+            <div class="filters-section">
+                <form id="helpdeskFilters" class="filters-form">
+                    <div class="filter-group">
+                        <label for="dateRange">Date Range:</label>
+                        <select id="dateRange" name="dateRange">
+                            <option value="7" ${filters.dateRange === '7' ? 'selected' : ''}>Last 7 Days</option>
+                            <option value="30" ${filters.dateRange === '30' ? 'selected' : ''}>Last 30 Days</option>
+                            <option value="90" ${filters.dateRange === '90' ? 'selected' : ''}>Last Quarter</option>
+                            <option value="365" ${filters.dateRange === '365' ? 'selected' : ''}>Last Year</option>
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="status">Status:</label>
+                        <select id="status" name="status">
+                            <option value="all" ${filters.status === 'all' ? 'selected' : ''}>All Statuses</option>
+                            <option value="open" ${filters.status === 'open' ? 'selected' : ''}>Open</option>
+                            <option value="in_progress" ${filters.status === 'in_progress' ? 'selected' : ''}>In Progress</option>
+                            <option value="pending" ${filters.status === 'pending' ? 'selected' : ''}>Pending</option>
+                            <option value="closed" ${filters.status === 'closed' ? 'selected' : ''}>Closed</option>
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="assignedTo">Assigned To:</label>
+                        <select id="assignedTo" name="assignedTo">
+                            <option value="all" ${filters.assignedTo === 'all' ? 'selected' : ''}>All Assignees</option>
+                            ${assignees.map(name => html`<option value="${name}" ${filters.assignedTo === name ? 'selected' : ''}>${name}</option>`)}
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="category">Category:</label>
+                        <input type="text" id="category" name="category" value="${filters.category || ''}" placeholder="e.g. general inquiry">
+                    </div>
+                    <button type="submit" class="btn btn-primary">Apply Filters</button>
+                </form>
+            </div>
+        `;
+    }
+
+    generateKPICards(summary, comparison) {
+        return html`
             <div class="kpi-card">
                 <h3>Total Tickets</h3>
                 <div class="kpi-value">${summary.totalTickets || 0}</div>
+                ${this.formatKpiTrend(comparison, 'totalTickets')}
             </div>
             <div class="kpi-card">
                 <h3>Open Tickets</h3>
                 <div class="kpi-value">${summary.openTickets || 0}</div>
+                ${this.formatKpiTrend(comparison, 'openTickets', { invert: true })}
             </div>
             <div class="kpi-card">
                 <h3>Closed Tickets</h3>
                 <div class="kpi-value">${summary.closedTickets || 0}</div>
+                ${this.formatKpiTrend(comparison, 'closedTickets')}
             </div>
             <div class="kpi-card">
                 <h3>Avg Age</h3>
                 <div class="kpi-value">${summary.avgAgeHours || 0} hrs</div>
+                ${this.formatKpiTrend(comparison, 'avgAgeHours', { unit: 'hours', invert: true })}
             </div>
             <div class="kpi-card">
                 <h3>Avg Closure Time</h3>
                 <div class="kpi-value">${summary.avgClosureHours || 0} hrs</div>
+                ${this.formatKpiTrend(comparison, 'avgClosureHours', { unit: 'hours', invert: true })}
             </div>
         `;
     }
@@ -161,6 +203,9 @@ class HelpdeskView extends BaseView {
     }
 
     bindEvents() {
+        this.bindComparisonSelect();
+        this.bindFilterChips();
+
         if (this.elements.filtersForm) {
             this.elements.filtersForm.addEventListener('submit', (e) => {
                 e.preventDefault();
@@ -171,53 +216,78 @@ class HelpdeskView extends BaseView {
                 }
             });
         }
+
+        this.bindRowSelection(this.elements.ticketsTable);
     }
 
     updateCharts(chartData) {
         this.initStatusChart(chartData.byStatus);
         this.initCategoryChart(chartData.byCategory);
         this.initAssigneeChart(chartData.byAssignee);
+        this.pruneCharts();
     }
 
     initStatusChart(statusData) {
         if (!this.elements.statusChart) return;
-        if (this.charts.status) this.charts.status.destroy();
         const labels = Object.keys(statusData);
         const data = Object.values(statusData);
-        this.charts.status = new Chart(this.elements.statusChart, {
+        const drillDown = this.getDrillDownOptions(index => ({ status: labels[index] }), 'ticketsTableSection');
+        this.renderChart('status', this.elements.statusChart, {
             type: 'doughnut',
             data: { labels, datasets: [{ data, backgroundColor: this.generateColors(labels.length) }] },
-            options: { responsive: true, maintainAspectRatio: false }
+            options: { ...drillDown, responsive: true, maintainAspectRatio: false }
         });
     }
 
     initCategoryChart(categoryData) {
         if (!this.elements.categoryChart) return;
-        if (this.charts.category) this.charts.category.destroy();
         const labels = Object.keys(categoryData);
         const data = Object.values(categoryData);
-        this.charts.category = new Chart(this.elements.categoryChart, {
+        const drillDown = this.getDrillDownOptions(index => ({ category: labels[index] }), 'ticketsTableSection');
+        this.renderChart('category', this.elements.categoryChart, {
             type: 'bar',
             data: { labels, datasets: [{ data, label: 'Tickets', backgroundColor: '#4361ee' }] },
-            options: { responsive: true, maintainAspectRatio: false }
+            options: { ...drillDown, responsive: true, maintainAspectRatio: false }
         });
     }
 
     initAssigneeChart(assigneeData) {
         if (!this.elements.assigneeChart) return;
-        if (this.charts.assignee) this.charts.assignee.destroy();
         const labels = Object.keys(assigneeData);
         const data = Object.values(assigneeData);
-        this.charts.assignee = new Chart(this.elements.assigneeChart, {
+        const drillDown = this.getDrillDownOptions(index => ({ assignedTo: labels[index] }), 'ticketsTableSection');
+        this.renderChart('assignee', this.elements.assigneeChart, {
             type: 'bar',
             data: { labels, datasets: [{ data, label: 'Tickets', backgroundColor: '#4cc9f0' }] },
-            options: { responsive: true, maintainAspectRatio: false }
+            options: { ...drillDown, responsive: true, maintainAspectRatio: false }
         });
     }
 
-    generateColors(count) {
-        const base = ['#4361ee','#4cc9f0','#2ecc71','#f39c12','#e74c3c','#9b59b6','#1abc9c','#34495e','#e67e22','#95a5a6'];
-        return Array.from({ length: count }, (_, i) => base[i % base.length]);
+    /**
+     * Tickets table columns for CSV / Excel export
+     */
+    getExportConfig() {
+        return {
+            columns: [
+                { key: 'ticket_id', label: 'Ticket ID' },
+                { key: 'date_created', label: 'Date Created', type: 'date' },
+                { key: 'customer_name', label: 'Customer' },
+                { key: 'customer_email', label: 'Customer Email', selected: false },
+                { key: 'assigned_to', label: 'Assigned To' },
+                { key: 'status', label: 'Status', value: t => this.formatStatus(t.status) },
+                { key: 'category', label: 'Category', value: t => t.category || 'General' },
+                { key: 'age', label: 'Age (hrs)', type: 'number' },
+                { key: 'comments', label: 'Comments' }
+            ],
+            lineItems: null
+        };
+    }
+
+    /**
+     * Filtered tickets in table order
+     */
+    getExportRecords() {
+        return this.tickets;
     }
 
     getUniqueAssignees(tickets) {
@@ -4,11 +4,17 @@
  */
 
 import BaseView from './BaseView.js';
+import SafeHTML from './SafeHTML.js';
+
+const { html } = SafeHTML;
 
 class OpportunitiesView extends BaseView {
     constructor() {
         super('dashboardContainer');
         this.charts = {};
+        this.opportunityIndex = new Map(); // opportunity_id -> record, for the detail drawer
+        this.drawerRecordId = null; // Record shown in the open detail drawer
+        this.statusHistories = {};
     }
 
     /**
@@ -17,64 +23,34 @@ class OpportunitiesView extends BaseView {
     generateHTML(data) {
         const summary = data?.summary || {};
         const opportunities = data?.opportunities || [];
+        const tableOpportunities = data?.tableOpportunities || opportunities;
         const filters = data?.filters || {};
-        const assignees = this.getUniqueAssignees(opportunities);
-        const categories = ['all', 'Products', 'Services', 'General'];
+        const assignees = data?.assigneeOptions || this.getUniqueAssignees(opportunities);
+        const categories = ['all', ...(data?.categoryOptions || [])];
+        const sources = data?.sourceOptions || [];
+        const campaigns = data?.campaignOptions || [];
+
+        this.opportunityIndex = new Map(tableOpportunities.map(opp => [opp.opportunity_id, opp]));
+        this.statusHistories = data?.statusHistories || {};
 
-        return `
+        return html`
             <div class="dashboard-opportunities">
                 <!-- KPI Cards -->
-                <div class="kpi-grid" id="kpiContainer">
-                    ${this.generateKPICards(summary)}
+                ${this.generateComparisonSelect(filters)}
+                <div class="kpi-grid" id="kpiContainer" data-region="kpis">
+                    ${this.generateKPICards(summary, data?.comparison)}
                 </div>
 
                 <!-- Filters Section -->
-                <div class="filters-section">
-                    <form id="opportunitiesFilters" class="filters-form">
-                        <div class="filter-group">
-                            <label for="dateRange">Date Range:</label>
-                            <select id="dateRange" name="dateRange">
-                                <option value="7" ${filters.dateRange === '7' ? 'selected' : ''}>Last 7 Days</option>
-                                <option value="30" ${filters.dateRange === '30' ? 'selected' : ''}>Last 30 Days</option>
-                                <option value="90" ${filters.dateRange === '90' ? 'selected' : ''}>Last Quarter</option>
-                                <option value="365" ${filters.dateRange === '365' ? 'selected' : ''}>Last Year</option>
-                            </select>
-                        </div>
-                        <div class="filter-group">
-                            <label for="statusFilter">Status:</label>
-                            <select id="statusFilter" name="status">
-                                <option value="all" ${filters.status === 'all' ? 'selected' : ''}>All Statuses</option>
-                                <option value="new" ${filters.status === 'new' ? 'selected' : ''}>New</option>
-                                <option value="progress" ${filters.status === 'progress' ? 'selected' : ''}>In Progress</option>
-                                <option value="closed_won" ${filters.status === 'closed_won' ? 'selected' : ''}>Closed Won</option>
-                                <option value="closed_lost" ${filters.status === 'closed_lost' ? 'selected' : ''}>Closed Lost</option>
-                            </select>
-                        </div>
-                        <div class="filter-group">
-                            <label for="assignedTo">Assigned To:</label>
-                            <select id="assignedTo" name="assignedTo">
-                                <option value="all" ${filters.assignedTo === 'all' ? 'selected' : ''}>All Assignees</option>
-                                ${assignees.map(name => `
-                                    <option value="${name}" ${filters.assignedTo === name ? 'selected' : ''}>${name}</option>
-                                `).join('')}
-                            </select>
-                        </div>
-                        <div class="filter-group">
-                            <label for="category">Category:</label>
-                            <select id="category" name="category">
-                                ${categories.map(cat => `
-                                    <option value="${cat}" ${filters.category === cat ? 'selected' : ''}>${cat === 'all' ? 'All Categories' : cat}</option>
-                                `).join('')}
-                            </select>
-                        </div>
-                        <button type="submit" class="btn btn-primary">Apply Filters</button>
-                    </form>
-                </div>
+                ${this.isFeatureEnabled('customFilters') ? this.generateFilters(filters, assignees, categories, sources, campaigns) : ''}
 
                 <!-- Charts Grid -->
                 <div class="charts-grid">
                     <div class="chart-container">
-                        <h2>Pipeline Trend</h2>
+                        <div class="chart-header">
+                            <h2>Pipeline Trend</h2>
+                            ${this.generateTrendControls(filters)}
+                        </div>
                         <div class="chart-wrapper">
                             <canvas id="trendChart"></canvas>
                         </div>
@@ -85,6 +61,19 @@ class OpportunitiesView extends BaseView {
                             <canvas id="statusChart"></canvas>
                         </div>
                     </div>
+                    <div class="chart-container">
+                        <h2>Pipeline Value by Status</h2>
+                        <div class="chart-wrapper">
+                            <canvas id="statusValueChart"></canvas>
+                        </div>
+                    </div>
+                    <div class="chart-container">
+                        <h2>Sales Funnel</h2>
+                        <div class="chart-wrapper">
+                            <canvas id="funnelChart"></canvas>
+                        </div>
+                    </div>
+                    ${this.isFeatureEnabled('advancedCharts') ? html`
                     <div class="chart-container">
                         <h2>Opportunities by Category</h2>
                         <div class="chart-wrapper">
@@ -97,16 +86,30 @@ class OpportunitiesView extends BaseView {
                             <canvas id="assigneeChart"></canvas>
                         </div>
                     </div>
+                    ` : ''}
                 </div>
 
+                <!-- Revenue Forecast -->
+                ${this.generateForecastPanel(data?.forecast)}
+
+                <!-- Product Mix -->
+                ${this.generateProductMixPanel(data?.productMix)}
+
+                <!-- Source & Campaign Attribution -->
+                ${this.generateAttributionPanel(data?.attribution)}
+
+                <!-- Stage Conversion -->
+                ${this.generateConversionTable(data?.funnel || [])}
+
                 <!-- Opportunities Table -->
-                <div class="table-container">
+                <div class="table-container" id="opportunitiesTableSection">
                     <div class="table-header">
                         <h2>Recent Opportunities</h2>
                         <div class="table-actions">
-                            <span class="table-count">Showing ${opportunities.length} opportunities</span>
+                            <span class="table-count" data-region="tableCount">Showing ${tableOpportunities.length} opportunities</span>
                         </div>
                     </div>
+                    ${this.generateFilterChips(this.getFilterChips(filters, data?.periodLabel))}
                     <div class="table-scroll">
                         <table class="data-table" id="opportunitiesTable">
                             <thead>
@@ -121,12 +124,382 @@ class OpportunitiesView extends BaseView {
                                     <th data-sort-key="amount" aria-sort="none" class="text-right">Amount</th>
                                 </tr>
                             </thead>
-                            <tbody>
-                                ${this.generateTableRows(opportunities)}
+                            <tbody data-region="tableRows">
+                                ${this.generateTableRows(tableOpportunities)}
                             </tbody>
                         </table>
                     </div>
                 </div>
+
+                <!-- Opportunity Detail Drawer (opened by selecting a row) -->
+                <div id="opportunityDrawer" class="drawer-overlay hidden">
+                    <aside class="drawer drawer-wide" role="dialog" aria-modal="true" aria-labelledby="opportunityDrawerTitle">
+                        <div class="drawer-header">
+                            <h3 id="opportunityDrawerTitle">Opportunity</h3>
+                            <div class="drawer-nav">
+                                <button type="button" class="btn btn-secondary" data-step="-1" aria-label="Previous opportunity">‹ Prev</button>
+                                <span class="drawer-position"></span>
+                                <button type="button" class="btn btn-secondary" data-step="1" aria-label="Next opportunity">Next ›</button>
+                                <button type="button" class="drawer-close" aria-label="Close opportunity details">&times;</button>
+                            </div>
+                        </div>
+                        <div id="opportunityDrawerBody" class="drawer-body"></div>
+                    </aside>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the detail drawer body for one opportunity
+     */
+    generateOpportunityDetail(opp) {
+        const products = opp.product_details || [];
+        const services = opp.services_details || [];
+        const lineTotal = item => parseFloat(item.total_price ?? (item.unit_price || 0) * (item.quantity || 1)) || 0;
+        const productTotal = products.reduce((sum, item) => sum + lineTotal(item), 0);
+        const serviceTotal = services.reduce((sum, item) => sum + lineTotal(item), 0);
+        const history = this.statusHistories[opp.opportunity_id] || [];
+        const day = 24 * 60 * 60 * 1000;
+
+        const details = [
+            ['Customer', this.formatCustomerLink(opp)],
+            ['Email', opp.customer_email],
+            ['Phone', opp.customer_phone],
+            ['Customer Type', opp.customer_type],
+            ['Rating', opp.customer_rating],
+            ['Company', opp.company],
+            ['Location', opp.location],
+            ['Source', opp.source],
+            ['Campaign', opp.campaign],
+            ['Assigned To', opp.assigned_to],
+            ['Created By', opp.created_by],
+            ['Date Created', this.formatDate(opp.date_created)],
+            ['Age', `${Math.round(opp.age || 0)} days`]
+        ];
+
+        const itemRows = (items, type) => items.map(item => html`
+            <tr>
+                <td>${type}</td>
+                <td>${item.name || 'Unnamed'}</td>
+                <td>${item.category || 'General'}</td>
+                <td class="text-right">${item.quantity || 1}</td>
+                <td class="text-right">${this.formatCurrency(item.unit_price)}</td>
+                <td class="text-right">${this.formatCurrency(lineTotal(item))}</td>
+            </tr>
+        `);
+
+        return html`
+            <div class="opportunity-summary">
+                <span class="status-badge status-${opp.status || 'new'}">${this.formatStatus(opp.status)}</span>
+                <strong class="opportunity-amount">${this.formatCurrency(opp.amount || 0)}</strong>
+            </div>
+
+            <section class="drawer-section">
+                <h3>Details</h3>
+                <dl class="detail-list">
+                    ${details.map(([label, value]) => html`
+                        <dt>${label}</dt>
+                        <dd>${value || '–'}</dd>
+                    `)}
+                </dl>
+            </section>
+
+            <section class="drawer-section">
+                <h3>Line Items</h3>
+                ${products.length || services.length ? html`
+                <table class="data-table line-items">
+                    <thead>
+                        <tr>
+                            <th>Type</th>
+                            <th>Item</th>
+                            <th>Category</th>
+                            <th class="text-right">Qty</th>
+                            <th class="text-right">Unit</th>
+                            <th class="text-right">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${itemRows(products, 'Product')}
+                        ${itemRows(services, 'Service')}
+                    </tbody>
+                    <tfoot>
+                        <tr><td colspan="5">Products subtotal</td><td class="text-right">${this.formatCurrency(productTotal)}</td></tr>
+                        <tr><td colspan="5">Services subtotal</td><td class="text-right">${this.formatCurrency(serviceTotal)}</td></tr>
+                        <tr><th colspan="5">Total</th><th class="text-right">${this.formatCurrency(productTotal + serviceTotal)}</th></tr>
+                    </tfoot>
+                </table>
+                ` : html`<p class="drawer-empty">No line items</p>`}
+            </section>
+
+            <section class="drawer-section">
+                <h3>Comments</h3>
+                ${opp.comments ? html`<p class="opportunity-comments">${opp.comments}</p>` : html`<p class="drawer-empty">No comments</p>`}
+            </section>
+
+            <section class="drawer-section">
+                <h3>Status Timeline</h3>
+                <ol class="status-timeline">
+                    ${history.map((entry, index) => {
+                        const next = history[index + 1];
+                        const days = next ? Math.round((next.changedAt - entry.changedAt) / day) : null;
+                        return html`
+                            <li>
+                                <span class="status-badge status-${entry.status}">${this.formatStatus(entry.status)}</span>
+                                <span>${this.formatDate(entry.changedAt)}</span>
+                                <span class="timeline-duration">${days !== null ? `${days} days in stage` : 'Current'}</span>
+                            </li>
+                        `;
+                    })}
+                </ol>
+            </section>
+        `;
+    }
+
+    /**
+     * Ids of the table rows in their current (filtered and sorted) order
+     */
+    getVisibleRecordIds() {
+        const table = this.elements.opportunitiesTable;
+        if (!table) return [];
+        return Array.from(table.querySelectorAll('tbody tr[data-record-id]'))
+            .map(row => row.dataset.recordId)
+            .filter(Boolean);
+    }
+
+    /**
+     * Opportunities table columns for CSV / Excel export; line items come from
+     * product_details and services_details
+     */
+    getExportConfig() {
+        const toLineItem = type => item => ({
+            ...item,
+            type,
+            total_price: item.total_price ?? (item.unit_price || 0) * (item.quantity || 1)
+        });
+
+        return {
+            columns: [
+                { key: 'opportunity_id', label: 'Opportunity ID' },
+                { key: 'date_created', label: 'Date Created', type: 'date' },
+                { key: 'customer_name', label: 'Customer' },
+                { key: 'customer_email', label: 'Customer Email', selected: false },
+                { key: 'company', label: 'Company', selected: false },
+                { key: 'category', label: 'Category', value: opp => this.getOpportunityCategories(opp) },
+                { key: 'assigned_to', label: 'Assigned To' },
+                { key: 'status', label: 'Status', value: opp => this.formatStatus(opp.status) },
+                { key: 'source', label: 'Source', selected: false },
+                { key: 'campaign', label: 'Campaign', selected: false },
+                { key: 'age', label: 'Age (days)', type: 'number' },
+                { key: 'amount', label: 'Amount', type: 'number' },
+                { key: 'comments', label: 'Comments', selected: false }
+            ],
+            lineItems: opp => [
+                ...(opp.product_details || []).map(toLineItem('Product')),
+                ...(opp.services_details || []).map(toLineItem('Service'))
+            ]
+        };
+    }
+
+    /**
+     * Table opportunities in row order (filters, period drill-down and sort applied)
+     */
+    getExportRecords() {
+        return this.getVisibleRecordIds()
+            .map(id => this.opportunityIndex.get(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Show the detail drawer for the selected row, or hide it when nothing is selected
+     */
+    updateDetailDrawer() {
+        const drawer = document.getElementById('opportunityDrawer');
+        if (!drawer) return;
+
+        const opp = this.selectedRecordId ? this.opportunityIndex.get(this.selectedRecordId) : null;
+        const wasHidden = drawer.classList.contains('hidden');
+        if (!opp) {
+            drawer.classList.add('hidden');
+            if (!wasHidden) this.focusRow(this.drawerRecordId);
+            this.drawerRecordId = null;
+            return;
+        }
+
+        const ids = this.getVisibleRecordIds();
+        const position = ids.indexOf(this.selectedRecordId);
+
+        drawer.querySelector('#opportunityDrawerTitle').textContent = `${opp.opportunity_id} · ${opp.customer_name || 'Unknown Customer'}`;
+        drawer.querySelector('.drawer-position').textContent = position >= 0 ? `${position + 1} of ${ids.length}` : '';
+        drawer.querySelector('[data-step="-1"]').disabled = position <= 0;
+        drawer.querySelector('[data-step="1"]').disabled = position === -1 || position >= ids.length - 1;
+        document.getElementById('opportunityDrawerBody').innerHTML = this.generateOpportunityDetail(opp);
+        drawer.classList.remove('hidden');
+        this.drawerRecordId = this.selectedRecordId;
+
+        // Move focus into the dialog so Escape and Tab work right away
+        if (wasHidden) {
+            drawer.querySelector('.drawer-close').focus();
+        }
+    }
+
+    /**
+     * Give focus back to a table row (after closing the drawer)
+     */
+    focusRow(recordId) {
+        const row = Array.from(document.querySelectorAll('#opportunitiesTable tr[data-record-id]'))
+            .find(tr => tr.dataset.recordId === recordId);
+        if (!row) return;
+        row.tabIndex = -1;
+        row.focus();
+    }
+
+    /**
+     * Move the selection to the previous / next row
+     */
+    stepRecord(step) {
+        const ids = this.getVisibleRecordIds();
+        const next = ids[ids.indexOf(this.selectedRecordId) + step];
+        if (next) {
+            this.selectRecord(next);
+        }
+    }
+
+    /**
+     * Highlight the selected row and keep the detail drawer in sync with it
+     */
+    highlightSelectedRow() {
+        super.highlightSelectedRow();
+        this.updateDetailDrawer();
+    }
+
+    /**
+     * Sections shown and filter options; a change needs a full render
+     */
+    getStructureKey(data) {
+        return JSON.stringify([
+            this.isFeatureEnabled('customFilters'),
+            this.isFeatureEnabled('advancedCharts'),
+            !!data?.forecast,
+            !!data?.productMix?.byItem.length,
+            !!data?.attribution?.bySource.length,
+            !!data?.funnel?.length,
+            data?.assigneeOptions,
+            data?.categoryOptions,
+            data?.sourceOptions,
+            data?.campaignOptions
+        ]);
+    }
+
+    /**
+     * Breadcrumb chips for the filters a chart drill-down can set
+     */
+    getFilterChips(filters, periodLabel) {
+        const chips = [];
+        if (filters.status && filters.status !== 'all') chips.push({ key: 'status', label: `Status: ${this.formatStatus(filters.status)}` });
+        if (filters.category && filters.category !== 'all') chips.push({ key: 'category', label: `Category: ${filters.category}` });
+        if (filters.assignedTo && filters.assignedTo !== 'all') chips.push({ key: 'assignedTo', label: `Assigned to: ${filters.assignedTo}` });
+        if (filters.source && filters.source !== 'all') chips.push({ key: 'source', label: `Source: ${filters.source}` });
+        if (filters.campaign && filters.campaign !== 'all') chips.push({ key: 'campaign', label: `Campaign: ${filters.campaign}` });
+        if (periodLabel) chips.push({ key: 'period', label: `Period: ${periodLabel}`, reset: '' });
+        return chips;
+    }
+
+    /**
+     * Time-bucket filter value for a trend point ('YYYY-MM-DD:granularity')
+     */
+    formatPeriodFilter(start, granularity) {
+        const date = new Date(isNaN(start) ? start : Number(start));
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}:${granularity}`;
+    }
+
+    /**
+     * Generate granularity and mode selectors for the trend chart
+     */
+    generateTrendControls(filters) {
+        const granularity = filters.granularity || 'auto';
+        const mode = filters.trendMode || 'period';
+        const granularities = [['auto', 'Auto'], ['day', 'Daily'], ['week', 'Weekly'], ['month', 'Monthly'], ['quarter', 'Quarterly']];
+
+        return html`
+            <div class="chart-controls" id="trendControls">
+                <select name="granularity" aria-label="Trend granularity">
+                    ${granularities.map(([value, label]) => html`
+                        <option value="${value}" ${granularity === value ? 'selected' : ''}>${label}</option>
+                    `)}
+                </select>
+                <select name="trendMode" aria-label="Trend mode">
+                    <option value="period" ${mode === 'period' ? 'selected' : ''}>Per period</option>
+                    <option value="cumulative" ${mode === 'cumulative' ? 'selected' : ''}>Cumulative</option>
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate filters form HTML
+     */
+    generateFilters(filters, assignees, categories, sources = [], campaigns = []) {
+        return html`
+            <div class="filters-section">
+                <form id="opportunitiesFilters" class="filters-form">
+                    <div class="filter-group">
+                        <label for="dateRange">Date Range:</label>
+                        <select id="dateRange" name="dateRange">
+                            <option value="7" ${filters.dateRange === '7' ? 'selected' : ''}>Last 7 Days</option>
+                            <option value="30" ${filters.dateRange === '30' ? 'selected' : ''}>Last 30 Days</option>
+                            <option value="90" ${filters.dateRange === '90' ? 'selected' : ''}>Last Quarter</option>
+                            <option value="365" ${filters.dateRange === '365' ? 'selected' : ''}>Last Year</option>
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="statusFilter">Status:</label>
+                        <select id="statusFilter" name="status">
+                            <option value="all" ${filters.status === 'all' ? 'selected' : ''}>All Statuses</option>
+                            <option value="new" ${filters.status === 'new' ? 'selected' : ''}>New</option>
+                            <option value="progress" ${filters.status === 'progress' ? 'selected' : ''}>In Progress</option>
+                            <option value="closed_won" ${filters.status === 'closed_won' ? 'selected' : ''}>Closed Won</option>
+                            <option value="closed_lost" ${filters.status === 'closed_lost' ? 'selected' : ''}>Closed Lost</option>
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="assignedTo">Assigned To:</label>
+                        <select id="assignedTo" name="assignedTo">
+                            <option value="all" ${filters.assignedTo === 'all' ? 'selected' : ''}>All Assignees</option>
+                            ${assignees.map(name => html`
+                                <option value="${name}" ${filters.assignedTo === name ? 'selected' : ''}>${name}</option>
+                            `)}
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="category">Category:</label>
+                        <select id="category" name="category">
+                            ${categories.map(cat => html`
+                                <option value="${cat}" ${filters.category === cat ? 'selected' : ''}>${cat === 'all' ? 'All Categories' : cat}</option>
+                            `)}
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="source">Source:</label>
+                        <select id="source" name="source">
+                            <option value="all" ${filters.source === 'all' ? 'selected' : ''}>All Sources</option>
+                            ${sources.map(source => html`
+                                <option value="${source}" ${filters.source === source ? 'selected' : ''}>${source}</option>
+                            `)}
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="campaign">Campaign:</label>
+                        <select id="campaign" name="campaign">
+                            <option value="all" ${filters.campaign === 'all' ? 'selected' : ''}>All Campaigns</option>
+                            ${campaigns.map(campaign => html`
+                                <option value="${campaign}" ${filters.campaign === campaign ? 'selected' : ''}>${campaign}</option>
+                            `)}
+                        </select>
+                    </div>
+                    <button type="submit" class="btn btn-primary">Apply Filters</button>
+                </form>
             </div>
         `;
     }
@@ -134,32 +507,283 @@ class OpportunitiesView extends BaseView {
     /**
      * Generate KPI cards HTML
      */
-    generateKPICards(summary) {
-        return `
+    generateKPICards(summary, comparison) {
+        return html`
+            <div class="kpi-card">
+                <h3>Open Pipeline</h3>
+                <div class="kpi-value">${this.formatCurrencyK(summary.openPipelineValue || 0)}</div>
+                ${this.formatKpiTrend(comparison, 'openPipelineValue')}
+            </div>
             <div class="kpi-card">
-                <h3>Total Pipeline Value</h3>
-                <div class="kpi-value">${this.formatCurrencyK(summary.totalPipelineValue || 0)}</div>
-                <div class="kpi-trend trend-up">↑ 15% vs last quarter</div>
+                <h3>Weighted Pipeline</h3>
+                <div class="kpi-value">${this.formatCurrencyK(summary.weightedPipelineValue || 0)}</div>
+                ${this.formatKpiTrend(comparison, 'weightedPipelineValue')}
+            </div>
+            <div class="kpi-card">
+                <h3>Closed Won</h3>
+                <div class="kpi-value">${this.formatCurrencyK(summary.closedWonValue || 0)}</div>
+                <div class="kpi-subtext">Lost: ${this.formatCurrencyK(summary.closedLostValue || 0)}</div>
+                ${this.formatKpiTrend(comparison, 'closedWonValue')}
             </div>
             <div class="kpi-card">
                 <h3>Active Opportunities</h3>
                 <div class="kpi-value">${summary.activeOpportunities || 0}</div>
-                <div class="kpi-trend">→ Stable vs last month</div>
+                ${this.formatKpiTrend(comparison, 'activeOpportunities')}
             </div>
             <div class="kpi-card">
                 <h3>Average Deal Size</h3>
                 <div class="kpi-value">${this.formatCurrencyK(summary.averageDealSize || 0)}</div>
-                <div class="kpi-trend trend-up">↑ 8% vs last quarter</div>
+                ${this.formatKpiTrend(comparison, 'averageDealSize')}
             </div>
             <div class="kpi-card">
                 <h3>Average Deal Age</h3>
                 <div class="kpi-value">${summary.averageDealAge || 0} days</div>
-                <div class="kpi-trend trend-down">↓ 2 days vs last month</div>
+                ${this.formatKpiTrend(comparison, 'averageDealAge', { unit: 'days', invert: true })}
             </div>
             <div class="kpi-card">
                 <h3>Win Rate</h3>
                 <div class="kpi-value">${summary.winRate || 0}%</div>
-                <div class="kpi-trend trend-up">↑ 5% year-to-date</div>
+                ${this.formatKpiTrend(comparison, 'winRate', { unit: 'points' })}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the revenue forecast panel HTML
+     */
+    generateForecastPanel(forecast) {
+        if (!forecast) return '';
+
+        const horizonLabel = (months) => `Next ${months} month${months === 1 ? '' : 's'}`;
+
+        return html`
+            <div class="table-container forecast-panel">
+                <div class="table-header">
+                    <h2>Revenue Forecast</h2>
+                    <span class="table-count" data-region="forecastSummary">
+                        ${forecast.openDeals} open deals · ${forecast.overallWinRate}% historical win rate
+                        (${forecast.closedDeals} closed) · median sales cycle ${forecast.medianCycleDays} days
+                    </span>
+                </div>
+                <div class="panel-grid">
+                    <div class="chart-wrapper">
+                        <canvas id="forecastChart"></canvas>
+                    </div>
+                    <div class="table-scroll">
+                        <table class="data-table" id="forecastTable">
+                            <thead>
+                                <tr>
+                                    <th>Horizon</th>
+                                    <th class="text-right">Deals</th>
+                                    <th class="text-right">Worst Case</th>
+                                    <th class="text-right">Commit</th>
+                                    <th class="text-right">Best Case</th>
+                                </tr>
+                            </thead>
+                            <tbody data-region="forecastRows">
+                                ${forecast.bands.map(band => html`
+                                    <tr>
+                                        <td>${horizonLabel(band.months)}</td>
+                                        <td class="text-right">${band.deals}</td>
+                                        <td class="text-right">${this.formatCurrency(band.worst)}</td>
+                                        <td class="text-right"><strong>${this.formatCurrency(band.commit)}</strong></td>
+                                        <td class="text-right">${this.formatCurrency(band.best)}</td>
+                                    </tr>
+                                `)}
+                            </tbody>
+                        </table>
+                        <p class="section-help">
+                            Commit is the expected closed revenue from open deals, weighted by assignee and source win rates.
+                            Best and worst case cover roughly 80% of outcomes.
+                        </p>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the product mix panel HTML
+     */
+    generateProductMixPanel(mix) {
+        if (!mix || !mix.byItem.length) return '';
+
+        return html`
+            <div class="table-container product-mix">
+                <div class="table-header">
+                    <h2>Product Mix</h2>
+                    <span class="table-count" data-region="productMixSummary">
+                        Service attach rate: ${mix.attachRate}% (${mix.attachedDeals} of ${mix.productDeals} deals with products)
+                    </span>
+                </div>
+                <div class="panel-grid">
+                    <div class="chart-wrapper">
+                        <canvas id="productMixChart"></canvas>
+                    </div>
+                    <div class="table-scroll">
+                        <h3>By Category</h3>
+                        <table class="data-table" id="categoryMixTable">
+                            <thead>
+                                <tr>
+                                    <th>Category</th>
+                                    <th class="text-right">Deals</th>
+                                    <th class="text-right">Value</th>
+                                </tr>
+                            </thead>
+                            <tbody data-region="categoryMixRows">
+                                ${mix.byCategory.map(row => html`
+                                    <tr>
+                                        <td>${row.category}</td>
+                                        <td class="text-right">${row.deals}</td>
+                                        <td class="text-right">${this.formatCurrency(row.value)}</td>
+                                    </tr>
+                                `)}
+                            </tbody>
+                        </table>
+                        <h3>Top Bundles</h3>
+                        <table class="data-table" id="bundlesTable">
+                            <thead>
+                                <tr>
+                                    <th>Bundle</th>
+                                    <th class="text-right">Deals</th>
+                                    <th class="text-right">Value</th>
+                                </tr>
+                            </thead>
+                            <tbody data-region="bundleRows">
+                                ${mix.topBundles.length ? mix.topBundles.map(bundle => html`
+                                    <tr>
+                                        <td>${bundle.items}</td>
+                                        <td class="text-right">${bundle.deals}</td>
+                                        <td class="text-right">${this.formatCurrency(bundle.value)}</td>
+                                    </tr>
+                                `) : html`
+                                    <tr><td colspan="3" class="text-center">No multi-item deals in this selection</td></tr>
+                                `}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the source and campaign attribution panel HTML
+     */
+    generateAttributionPanel(attribution) {
+        if (!attribution || !attribution.bySource.length) return '';
+
+        return html`
+            <div class="table-container attribution">
+                <div class="table-header">
+                    <h2>Source &amp; Campaign Attribution</h2>
+                </div>
+                <div class="panel-grid">
+                    <div class="chart-wrapper">
+                        <canvas id="sourceChart"></canvas>
+                    </div>
+                    <div class="table-scroll">
+                        <table class="data-table" id="campaignTable">
+                            <thead>
+                                <tr>
+                                    <th>Campaign</th>
+                                    <th>Source</th>
+                                    <th class="text-right">Deals</th>
+                                    <th class="text-right">Pipeline</th>
+                                    <th class="text-right">Won</th>
+                                    <th class="text-right">Win Rate</th>
+                                </tr>
+                            </thead>
+                            <tbody data-region="campaignRows">
+                                ${attribution.byCampaign.map(row => html`
+                                    <tr>
+                                        <td>${row.name}</td>
+                                        <td>${row.source}</td>
+                                        <td class="text-right">${row.deals}</td>
+                                        <td class="text-right">${this.formatCurrency(row.value)}</td>
+                                        <td class="text-right">${this.formatCurrency(row.wonValue)}</td>
+                                        <td class="text-right">${row.won + row.lost > 0 ? `${row.winRate}%` : '–'}</td>
+                                    </tr>
+                                `)}
+                            </tbody>
+                        </table>
+                        <div data-region="campaignRoi">
+                        ${attribution.roi.length ? html`
+                        <h3>Campaign ROI</h3>
+                        <table class="data-table" id="roiTable">
+                            <thead>
+                                <tr>
+                                    <th>Campaign</th>
+                                    <th class="text-right">Cost</th>
+                                    <th class="text-right">Won Revenue</th>
+                                    <th class="text-right">ROI</th>
+                                    <th class="text-right">Cost per Win</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${attribution.roi.map(row => html`
+                                    <tr>
+                                        <td>${row.campaign}</td>
+                                        <td class="text-right">${this.formatCurrency(row.cost)}</td>
+                                        <td class="text-right">${this.formatCurrency(row.wonValue)}</td>
+                                        <td class="text-right ${row.roi >= 0 ? 'trend-up' : 'trend-down'}">${row.roi}%</td>
+                                        <td class="text-right">${row.costPerWin !== null ? this.formatCurrency(row.costPerWin) : '–'}</td>
+                                    </tr>
+                                `)}
+                            </tbody>
+                        </table>
+                        <p class="section-help">ROI = (won revenue in the selected range − campaign cost) ÷ cost. Costs come from <code>ATTRIBUTION.campaignCosts</code>.</p>
+                        ` : ''}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the stage conversion table HTML
+     */
+    generateConversionTable(funnel) {
+        if (!funnel.length) return '';
+
+        return html`
+            <div class="table-container">
+                <div class="table-header">
+                    <h2>Stage Conversion</h2>
+                </div>
+                <div class="table-scroll">
+                    <table class="data-table" id="conversionTable">
+                        <thead>
+                            <tr>
+                                <th>Stage</th>
+                                <th class="text-right">Entered</th>
+                                <th class="text-right">Advanced</th>
+                                <th class="text-right">Lost</th>
+                                <th class="text-right">Still Open</th>
+                                <th class="text-right">Conversion to Next</th>
+                                <th class="text-right">Median Days in Stage</th>
+                            </tr>
+                        </thead>
+                        <tbody data-region="conversionRows">
+                            ${funnel.map(stage => html`
+                                <tr>
+                                    <td>
+                                        <span class="status-badge status-${stage.status}">
+                                            ${this.formatStatus(stage.status)}
+                                        </span>
+                                    </td>
+                                    <td class="text-right">${stage.entered}</td>
+                                    <td class="text-right">${stage.advanced}</td>
+                                    <td class="text-right">${stage.lost}</td>
+                                    <td class="text-right">${stage.open}</td>
+                                    <td class="text-right">${stage.conversionRate === null ? '–' : `${stage.conversionRate}%`}</td>
+                                    <td class="text-right">${stage.medianDays === null ? '–' : stage.medianDays}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
             </div>
         `;
     }
@@ -169,7 +793,7 @@ class OpportunitiesView extends BaseView {
      */
     generateTableRows(opportunities) {
         if (!opportunities || opportunities.length === 0) {
-            return `
+            return html`
                 <tr>
                     <td colspan="8" class="text-center">
                         No opportunities found matching current filters
@@ -178,12 +802,12 @@ class OpportunitiesView extends BaseView {
             `;
         }
 
-        return opportunities.map(opp => `
-            <tr>
+        return html`${opportunities.map(opp => html`
+            <tr data-record-id="${opp.opportunity_id || ''}">
                 <td>${opp.opportunity_id || 'N/A'}</td>
                 <td>${this.formatDate(opp.date_created)}</td>
-                <td>${opp.customer_name || 'Unknown Customer'}</td>
-                <td>${this.getOpportunityCategory(opp)}</td>
+                <td>${this.formatCustomerLink(opp)}</td>
+                <td>${this.getOpportunityCategories(opp)}</td>
                 <td>${opp.assigned_to || 'Unassigned'}</td>
                 <td>
                     <span class="status-badge status-${opp.status || 'new'}">
@@ -193,16 +817,16 @@ class OpportunitiesView extends BaseView {
                 <td>${Math.round(opp.age || 0)} days</td>
                 <td>${this.formatCurrency(opp.amount || 0)}</td>
             </tr>
-        `).join('');
+        `)}`;
     }
 
     /**
-     * Get opportunity category
+     * Get an opportunity's line-item categories for display
      */
-    getOpportunityCategory(opportunity) {
-        if (opportunity.product_details && opportunity.product_details.length > 0) return 'Products';
-        if (opportunity.services_details && opportunity.services_details.length > 0) return 'Services';
-        return 'General';
+    getOpportunityCategories(opportunity) {
+        const items = [...(opportunity.product_details || []), ...(opportunity.services_details || [])];
+        const categories = new Set(items.map(item => item.category || 'General'));
+        return categories.size ? Array.from(categories).join(', ') : 'General';
     }
 
     /**
@@ -223,7 +847,13 @@ class OpportunitiesView extends BaseView {
             filtersForm: document.getElementById('opportunitiesFilters'),
             kpiContainer: document.getElementById('kpiContainer'),
             trendChart: document.getElementById('trendChart'),
+            trendControls: document.getElementById('trendControls'),
             statusChart: document.getElementById('statusChart'),
+            statusValueChart: document.getElementById('statusValueChart'),
+            funnelChart: document.getElementById('funnelChart'),
+            forecastChart: document.getElementById('forecastChart'),
+            productMixChart: document.getElementById('productMixChart'),
+            sourceChart: document.getElementById('sourceChart'),
             categoryChart: document.getElementById('categoryChart'),
             assigneeChart: document.getElementById('assigneeChart'),
             opportunitiesTable: document.getElementById('opportunitiesTable')
@@ -246,6 +876,18 @@ class OpportunitiesView extends BaseView {
             });
         }
 
+        this.bindComparisonSelect();
+        this.bindFilterChips();
+
+        // Trend granularity / cumulative mode
+        if (this.elements.trendControls) {
+            this.elements.trendControls.addEventListener('change', (e) => {
+                if (this.onTrendOptionsChange) {
+                    this.onTrendOptionsChange({ [e.target.name]: e.target.value });
+                }
+            });
+        }
+
         // Table sorting
         const table = this.elements.opportunitiesTable;
         if (table) {
@@ -259,21 +901,68 @@ class OpportunitiesView extends BaseView {
                     headers.forEach(h => h.setAttribute('aria-sort', 'none'));
                     th.setAttribute('aria-sort', next);
                     this.sortTable(table, index, key, next === 'ascending');
+
+                    this.sortState = { key, direction: next };
+                    if (this.onSortChange) {
+                        this.onSortChange(this.sortState);
+                    }
                 });
             });
+
+            this.bindRowSelection(table);
         }
+
+        // Detail drawer: prev / next, close button, outside click and Escape
+        const drawer = document.getElementById('opportunityDrawer');
+        if (drawer) {
+            drawer.addEventListener('click', (e) => {
+                const stepButton = e.target.closest('[data-step]');
+                if (stepButton) {
+                    this.stepRecord(parseInt(stepButton.dataset.step, 10));
+                } else if (e.target === drawer || e.target.closest('.drawer-close')) {
+                    this.selectRecord(null);
+                }
+            });
+            drawer.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.selectRecord(null);
+                }
+            });
+        }
+    }
+
+    /**
+     * Re-apply the current sort after a render
+     */
+    applySortState() {
+        const table = this.elements.opportunitiesTable;
+        if (!table || !this.sortState) return;
+
+        const headers = Array.from(table.querySelectorAll('thead th[data-sort-key]'));
+        const index = headers.findIndex(th => th.getAttribute('data-sort-key') === this.sortState.key);
+        if (index === -1) return;
+
+        headers.forEach(h => h.setAttribute('aria-sort', 'none'));
+        headers[index].setAttribute('aria-sort', this.sortState.direction);
+        this.sortTable(table, index, this.sortState.key, this.sortState.direction === 'ascending');
     }
 
     /**
-     * Initialize charts with data
+     * Create the charts, or update them in place when they are already on the page
      */
     initCharts(chartData) {
         if (!chartData) return;
 
         this.initTrendChart(chartData.trend);
         this.initStatusChart(chartData.byStatus);
+        this.initStatusValueChart(chartData.valueByStatus);
+        this.initFunnelChart(chartData.funnel);
+        this.initForecastChart(chartData.forecast);
+        this.initProductMixChart(chartData.productMix);
+        this.initSourceChart(chartData.attribution);
         this.initCategoryChart(chartData.byCategory);
         this.initAssigneeChart(chartData.byAssignee);
+        this.pruneCharts();
     }
 
     /**
@@ -282,17 +971,19 @@ class OpportunitiesView extends BaseView {
     initTrendChart(trendData) {
         if (!this.elements.trendChart) return;
 
-        if (this.charts.trend) {
-            this.charts.trend.destroy();
-        }
+        const prefix = trendData.mode === 'cumulative' ? 'Cumulative ' : '';
+        const drillDown = this.getDrillDownOptions(index => (
+            trendData.starts ? { period: this.formatPeriodFilter(trendData.starts[index], trendData.granularity) } : null
+        ), 'opportunitiesTableSection');
 
-        this.charts.trend = new Chart(this.elements.trendChart, {
+        this.renderChart('trend', this.elements.trendChart, {
             type: 'line',
             data: {
                 labels: trendData.labels,
                 datasets: [
                     {
-                        label: 'Pipeline Value ($)',
+                        id: 'value',
+                        label: `${prefix}Pipeline Value ($)`,
                         data: trendData.values,
                         borderColor: '#4361ee',
                         backgroundColor: 'rgba(67, 97, 238, 0.1)',
@@ -302,7 +993,8 @@ class OpportunitiesView extends BaseView {
                         yAxisID: 'y'
                     },
                     {
-                        label: 'Opportunity Count',
+                        id: 'count',
+                        label: `${prefix}Opportunity Count`,
                         data: trendData.counts,
                         borderColor: '#4cc9f0',
                         backgroundColor: 'rgba(76, 201, 240, 0.1)',
@@ -315,6 +1007,7 @@ class OpportunitiesView extends BaseView {
                 ]
             },
             options: {
+                ...drillDown,
                 responsive: true,
                 maintainAspectRatio: false,
                 interaction: {
@@ -356,6 +1049,7 @@ class OpportunitiesView extends BaseView {
                     legend: {
                         position: 'top'
                     },
+                    zoom: this.getZoomOptions(),
                     tooltip: {
                         callbacks: {
                             label: function(context) {
@@ -383,15 +1077,13 @@ class OpportunitiesView extends BaseView {
     initStatusChart(statusData) {
         if (!this.elements.statusChart) return;
 
-        if (this.charts.status) {
-            this.charts.status.destroy();
-        }
-
         const labels = Object.keys(statusData);
         const data = Object.values(statusData);
         const backgroundColors = this.generateColors(labels.length);
 
-        this.charts.status = new Chart(this.elements.statusChart, {
+        const drillDown = this.getDrillDownOptions(index => ({ status: labels[index] }), 'opportunitiesTableSection');
+
+        this.renderChart('status', this.elements.statusChart, {
             type: 'doughnut',
             data: {
                 labels: labels,
@@ -402,6 +1094,7 @@ class OpportunitiesView extends BaseView {
                 }]
             },
             options: {
+                ...drillDown,
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
@@ -424,20 +1117,306 @@ class OpportunitiesView extends BaseView {
         });
     }
 
+    /**
+     * Initialize stacked value-by-status chart (weighted value + unweighted remainder)
+     */
+    initStatusValueChart(valueData) {
+        if (!this.elements.statusValueChart || !valueData) return;
+
+        const statuses = Object.keys(valueData);
+        const labels = statuses.map(status => `${this.formatStatus(status)} (${Math.round(valueData[status].probability * 100)}%)`);
+        const weighted = statuses.map(status => Math.round(valueData[status].weightedValue));
+        const remainder = statuses.map(status => Math.round(valueData[status].value - valueData[status].weightedValue));
+
+        const drillDown = this.getDrillDownOptions(index => ({ status: statuses[index] }), 'opportunitiesTableSection');
+
+        this.renderChart('statusValue', this.elements.statusValueChart, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [
+                    {
+                        label: 'Weighted Value ($)',
+                        data: weighted,
+                        backgroundColor: '#4361ee',
+                        stack: 'value'
+                    },
+                    {
+                        label: 'Unweighted Remainder ($)',
+                        data: remainder,
+                        backgroundColor: 'rgba(67, 97, 238, 0.25)',
+                        stack: 'value'
+                    }
+                ]
+            },
+            options: {
+                ...drillDown,
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        stacked: true,
+                        grid: {
+                            display: false
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Pipeline Value ($)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: $${context.parsed.y.toLocaleString()}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Initialize funnel chart (deals reaching each stage)
+     */
+    initFunnelChart(funnel) {
+        if (!this.elements.funnelChart || !funnel) return;
+
+        const top = funnel[0]?.entered || 0;
+
+        this.renderChart('funnel', this.elements.funnelChart, {
+            type: 'bar',
+            data: {
+                labels: funnel.map(stage => this.formatStatus(stage.status)),
+                datasets: [{
+                    label: 'Deals Reaching Stage',
+                    data: funnel.map(stage => stage.entered),
+                    backgroundColor: this.generateColors(funnel.length),
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Opportunities'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const share = top > 0 ? Math.round((context.parsed.x / top) * 100) : 0;
+                                return `${context.parsed.x} deals (${share}% of all)`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Initialize forecast chart (worst / commit / best per horizon)
+     */
+    initForecastChart(forecast) {
+        if (!this.elements.forecastChart || !forecast) return;
+
+        const bands = forecast.bands;
+
+        this.renderChart('forecast', this.elements.forecastChart, {
+            type: 'bar',
+            data: {
+                labels: bands.map(band => `${band.months} mo`),
+                datasets: [
+                    {
+                        label: 'Worst Case',
+                        data: bands.map(band => band.worst),
+                        backgroundColor: 'rgba(231, 76, 60, 0.7)'
+                    },
+                    {
+                        label: 'Commit',
+                        data: bands.map(band => band.commit),
+                        backgroundColor: '#4361ee'
+                    },
+                    {
+                        label: 'Best Case',
+                        data: bands.map(band => band.best),
+                        backgroundColor: 'rgba(46, 204, 113, 0.7)'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Closed Revenue ($)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: $${context.parsed.y.toLocaleString()}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Initialize product mix chart (value per product / service name)
+     */
+    initProductMixChart(mix) {
+        if (!this.elements.productMixChart || !mix) return;
+
+        const items = mix.byItem;
+
+        this.renderChart('productMix', this.elements.productMixChart, {
+            type: 'bar',
+            data: {
+                labels: items.map(item => item.name),
+                datasets: [{
+                    label: 'Value ($)',
+                    data: items.map(item => item.value),
+                    backgroundColor: items.map(item => item.type === 'service' ? '#4cc9f0' : '#4361ee'),
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Value ($)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const item = items[context.dataIndex];
+                                return `${item.category}: $${item.value.toLocaleString()} across ${item.deals} deals`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Initialize source chart (pipeline value bars with win rate line)
+     */
+    initSourceChart(attribution) {
+        if (!this.elements.sourceChart || !attribution) return;
+
+        const sources = attribution.bySource;
+
+        const drillDown = this.getDrillDownOptions(index => ({ source: sources[index].name }), 'opportunitiesTableSection');
+
+        this.renderChart('source', this.elements.sourceChart, {
+            type: 'bar',
+            data: {
+                labels: sources.map(row => row.name),
+                datasets: [{
+                    label: 'Pipeline Value ($)',
+                    data: sources.map(row => row.value),
+                    backgroundColor: '#4361ee',
+                    yAxisID: 'y'
+                }, {
+                    type: 'line',
+                    label: 'Win Rate (%)',
+                    data: sources.map(row => row.winRate),
+                    borderColor: '#f72585',
+                    backgroundColor: '#f72585',
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                ...drillDown,
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Value ($)'
+                        }
+                    },
+                    y1: {
+                        beginAtZero: true,
+                        max: 100,
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Win Rate (%)'
+                        }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            afterBody: (items) => {
+                                const row = sources[items[0].dataIndex];
+                                return `${row.deals} deals`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
     /**
      * Initialize category chart
      */
     initCategoryChart(categoryData) {
         if (!this.elements.categoryChart) return;
 
-        if (this.charts.category) {
-            this.charts.category.destroy();
-        }
-
         const labels = Object.keys(categoryData);
         const data = Object.values(categoryData);
 
-        this.charts.category = new Chart(this.elements.categoryChart, {
+        const drillDown = this.getDrillDownOptions(index => ({ category: labels[index] }), 'opportunitiesTableSection');
+
+        this.renderChart('category', this.elements.categoryChart, {
             type: 'bar',
             data: {
                 labels: labels,
@@ -449,6 +1428,7 @@ class OpportunitiesView extends BaseView {
                 }]
             },
             options: {
+                ...drillDown,
                 responsive: true,
                 maintainAspectRatio: false,
                 scales: {
@@ -470,15 +1450,13 @@ class OpportunitiesView extends BaseView {
     initAssigneeChart(assigneeData) {
         if (!this.elements.assigneeChart) return;
 
-        if (this.charts.assignee) {
-            this.charts.assignee.destroy();
-        }
-
         const labels = Object.keys(assigneeData);
         const counts = labels.map(name => assigneeData[name].count);
         const values = labels.map(name => assigneeData[name].totalValue / 1000); // Convert to K
 
-        this.charts.assignee = new Chart(this.elements.assigneeChart, {
+        const drillDown = this.getDrillDownOptions(index => ({ assignedTo: labels[index] }), 'opportunitiesTableSection');
+
+        this.renderChart('assignee', this.elements.assigneeChart, {
             type: 'bar',
             data: {
                 labels: labels,
@@ -501,6 +1479,7 @@ class OpportunitiesView extends BaseView {
                 ]
             },
             options: {
+                ...drillDown,
                 responsive: true,
                 maintainAspectRatio: false,
                 scales: {
@@ -527,22 +1506,6 @@ class OpportunitiesView extends BaseView {
         });
     }
 
-    /**
-     * Generate colors for charts
-     */
-    generateColors(count) {
-        const baseColors = [
-            '#4361ee', '#4cc9f0', '#2ecc71', '#f39c12', '#e74c3c',
-            '#9b59b6', '#1abc9c', '#34495e', '#e67e22', '#95a5a6'
-        ];
-        
-        const colors = [];
-        for (let i = 0; i < count; i++) {
-            colors.push(baseColors[i % baseColors.length]);
-        }
-        return colors;
-    }
-
     /**
      * Update charts with new data
      */
@@ -0,0 +1,66 @@
+/**
+ * Safe HTML
+ * Tagged template for view markup. Every interpolated value is HTML-escaped
+ * unless it is already SafeHTML (a nested html`` template or raw() markup),
+ * so API fields can be dropped into templates without injection risk.
+ *
+ *   const { html, raw } = SafeHTML;
+ *   html`<td>${opp.comments}</td>`           // escaped
+ *   html`<ul>${items.map(i => html`<li>${i}</li>`)}</ul>`  // arrays are joined
+ *   html`<div>${raw(trustedMarkup)}</div>`   // explicit opt-out
+ */
+
+const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+class SafeHTML {
+    constructor(markup) {
+        this.markup = String(markup);
+    }
+
+    toString() {
+        return this.markup;
+    }
+
+    /**
+     * Escape a value for use in element content or a quoted attribute
+     */
+    static escape(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ENTITIES[char]);
+    }
+
+    /**
+     * Mark trusted markup so html`` inserts it unescaped
+     */
+    static raw(markup) {
+        return markup instanceof SafeHTML ? markup : new SafeHTML(markup ?? '');
+    }
+
+    /**
+     * Tag function: escapes interpolations, returns SafeHTML
+     */
+    static html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, index) => {
+            markup += SafeHTML.serialize(value) + strings[index + 1];
+        });
+        return new SafeHTML(markup);
+    }
+
+    /**
+     * Markup for one interpolated value; null, undefined and false render nothing
+     */
+    static serialize(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(item => SafeHTML.serialize(item)).join('');
+        return SafeHTML.escape(value);
+    }
+}
+
+export default SafeHTML;
@@ -4,10 +4,19 @@
  */
 
 import BaseView from './BaseView.js';
+import SafeHTML from './SafeHTML.js';
+
+const { html } = SafeHTML;
 
 class SalesOrdersView extends BaseView {
     constructor() {
         super('dashboardContainer');
+        this.charts = {};
+        this.orders = [];
+        this.page = 1;
+        this.pageSize = 10;
+        this.filtersKey = null;
+        this.pagedRecordId = null; // Selected order whose page was last shown
     }
 
     /**
@@ -15,9 +24,20 @@ class SalesOrdersView extends BaseView {
      */
     generateHTML(data) {
         const summary = data?.summary || {};
-        const orders = data?.orders || [];
+        const filters = data?.filters || {};
+        const options = data?.options || {};
+        const comparison = data?.comparison;
+        this.orders = data?.orders || [];
+
+        // Go back to the first page whenever the filters change
+        const filtersKey = JSON.stringify(filters);
+        if (filtersKey !== this.filtersKey) {
+            this.filtersKey = filtersKey;
+            this.page = 1;
+        }
+        this.syncPage();
 
-        return `
+        return html`
             <div class="dashboard-sales-orders">
                 <div class="dashboard-header">
                     <h1>Sales Orders Dashboard</h1>
@@ -25,92 +45,327 @@ class SalesOrdersView extends BaseView {
                 </div>
 
                 <!-- KPI Cards -->
-                <div class="kpi-grid">
+                ${this.generateComparisonSelect(filters)}
+                <div class="kpi-grid" data-region="kpis">
                     <div class="kpi-card">
                         <h3>Total Order Value</h3>
                         <div class="kpi-value">${this.formatCurrencyK(summary.totalOrderValue || 0)}</div>
-                        <div class="kpi-trend trend-up">↑ 12% vs last quarter</div>
+                        ${this.formatKpiTrend(comparison, 'totalOrderValue')}
                     </div>
                     <div class="kpi-card">
                         <h3>Total Orders</h3>
                         <div class="kpi-value">${summary.totalOrders || 0}</div>
-                        <div class="kpi-trend trend-up">↑ 8% vs last month</div>
+                        ${this.formatKpiTrend(comparison, 'totalOrders')}
                     </div>
                     <div class="kpi-card">
                         <h3>Avg Order Value</h3>
                         <div class="kpi-value">${this.formatCurrency(summary.avgOrderValue || 0)}</div>
-                        <div class="kpi-trend trend-up">↑ 5% vs last quarter</div>
+                        ${this.formatKpiTrend(comparison, 'avgOrderValue')}
                     </div>
                     <div class="kpi-card">
                         <h3>Fulfillment Rate</h3>
                         <div class="kpi-value">${summary.fulfillmentRate || 0}%</div>
-                        <div class="kpi-trend trend-up">↑ 3% vs last month</div>
+                        ${this.formatKpiTrend(comparison, 'fulfillmentRate', { unit: 'points' })}
                     </div>
                 </div>
 
-                <!-- Coming Soon Message -->
-                <div class="coming-soon">
-                    <div class="coming-soon-icon">🚀</div>
-                    <h2>Sales Orders Dashboard Coming Soon</h2>
-                    <p>We're working hard to bring you comprehensive sales order analytics.</p>
-                    <div class="features-list">
-                        <div class="feature-item">
-                            <span class="feature-icon">📊</span>
-                            <span>Order trend analysis</span>
-                        </div>
-                        <div class="feature-item">
-                            <span class="feature-icon">📦</span>
-                            <span>Inventory tracking</span>
+                <!-- Filters Section -->
+                ${this.isFeatureEnabled('customFilters') ? this.generateFilters(filters, options) : ''}
+
+                <!-- Charts Grid -->
+                <div class="charts-grid">
+                    <div class="chart-container">
+                        <h2>Order Trend</h2>
+                        <div class="chart-wrapper">
+                            <canvas id="orderTrendChart"></canvas>
                         </div>
-                        <div class="feature-item">
-                            <span class="feature-icon">🚚</span>
-                            <span>Shipping analytics</span>
+                    </div>
+                    <div class="chart-container">
+                        <h2>Orders by Status</h2>
+                        <div class="chart-wrapper">
+                            <canvas id="orderStatusChart"></canvas>
                         </div>
-                        <div class="feature-item">
-                            <span class="feature-icon">💰</span>
-                            <span>Revenue forecasting</span>
+                    </div>
+                    ${this.isFeatureEnabled('advancedCharts') ? html`
+                    <div class="chart-container">
+                        <h2>Orders by Assignee</h2>
+                        <div class="chart-wrapper">
+                            <canvas id="orderAssigneeChart"></canvas>
                         </div>
                     </div>
+                    ` : ''}
                 </div>
 
-                <!-- Sample Table -->
+                <!-- Orders Table -->
                 <div class="table-container">
-                    <h2>Recent Sales Orders</h2>
-                    <table class="data-table">
-                        <thead>
-                            <tr>
-                                <th>Order #</th>
-                                <th>Customer</th>
-                                <th>Date</th>
-                                <th>Status</th>
-                                <th>Items</th>
-                                <th>Total Value</th>
-                                <th>Assigned To</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${orders.map(order => `
+                    <div class="table-header">
+                        <h2>Sales Orders</h2>
+                        <div class="table-actions">
+                            <span class="table-count" id="ordersCount"></span>
+                        </div>
+                    </div>
+                    <div class="table-scroll">
+                        <table class="data-table" id="salesOrdersTable">
+                            <thead>
                                 <tr>
-                                    <td>${order.order_number}</td>
-                                    <td>${order.customer_name}</td>
-                                    <td>${this.formatDate(order.date_created)}</td>
-                                    <td>
-                                        <span class="status-badge status-${order.status}">
-                                            ${this.formatStatus(order.status)}
-                                        </span>
-                                    </td>
-                                    <td>${order.items}</td>
-                                    <td>${this.formatCurrency(order.total_order_value)}</td>
-                                    <td>${order.assigned_to}</td>
+                                    <th data-sort-key="order_number" aria-sort="none">Order #</th>
+                                    <th data-sort-key="customer_name" aria-sort="none">Customer</th>
+                                    <th data-sort-key="date_created" aria-sort="none">Date</th>
+                                    <th data-sort-key="status" aria-sort="none">Status</th>
+                                    <th data-sort-key="items" aria-sort="none">Items</th>
+                                    <th data-sort-key="total_order_value" aria-sort="none">Total Value</th>
+                                    <th data-sort-key="assigned_to" aria-sort="none">Assigned To</th>
                                 </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
+                            </thead>
+                            <tbody data-region="tableRows">
+                                ${this.generateTableRows(this.getPageOrders())}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="pagination" id="ordersPagination"></div>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Sections shown and filter options; a change needs a full render
+     */
+    getStructureKey(data) {
+        return JSON.stringify([
+            this.isFeatureEnabled('customFilters'),
+            this.isFeatureEnabled('advancedCharts'),
+            data?.options
+        ]);
+    }
+
+    /**
+     * Partial update, then refresh the count and page controls
+     */
+    onUpdate(data) {
+        super.onUpdate(data);
+        this.renderPagination();
+    }
+
+    /**
+     * Generate filters form HTML
+     */
+    generateFilters(filters, options) {
+        const statuses = options.statuses || [];
+        const assignees = options.assignees || [];
+        const customers = options.customers || [];
+
+        return html`
+            <div class="filters-section">
+                <form id="salesOrdersFilters" class="filters-form">
+                    <div class="filter-group">
+                        <label for="dateRange">Date Range:</label>
+                        <select id="dateRange" name="dateRange">
+                            <option value="7" ${filters.dateRange === '7' ? 'selected' : ''}>Last 7 Days</option>
+                            <option value="30" ${filters.dateRange === '30' ? 'selected' : ''}>Last 30 Days</option>
+                            <option value="90" ${filters.dateRange === '90' ? 'selected' : ''}>Last Quarter</option>
+                            <option value="365" ${filters.dateRange === '365' ? 'selected' : ''}>Last Year</option>
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="statusFilter">Status:</label>
+                        <select id="statusFilter" name="status">
+                            <option value="all" ${filters.status === 'all' ? 'selected' : ''}>All Statuses</option>
+                            ${statuses.map(status => html`
+                                <option value="${status}" ${filters.status === status ? 'selected' : ''}>${this.formatStatus(status)}</option>
+                            `)}
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="assignedTo">Assigned To:</label>
+                        <select id="assignedTo" name="assignedTo">
+                            <option value="all" ${filters.assignedTo === 'all' ? 'selected' : ''}>All Assignees</option>
+                            ${assignees.map(name => html`
+                                <option value="${name}" ${filters.assignedTo === name ? 'selected' : ''}>${name}</option>
+                            `)}
+                        </select>
+                    </div>
+                    <div class="filter-group">
+                        <label for="customer">Customer:</label>
+                        <select id="customer" name="customer">
+                            <option value="all" ${filters.customer === 'all' ? 'selected' : ''}>All Customers</option>
+                            ${customers.map(name => html`
+                                <option value="${name}" ${filters.customer === name ? 'selected' : ''}>${name}</option>
+                            `)}
+                        </select>
+                    </div>
+                    <button type="submit" class="btn btn-primary">Apply Filters</button>
+                </form>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate table rows HTML
+     */
+    generateTableRows(orders) {
+        if (!orders || orders.length === 0) {
+            return html`
+                <tr>
+                    <td colspan="7" class="text-center">
+                        No sales orders found matching current filters
+                    </td>
+                </tr>
+            `;
+        }
+
+        return html`${orders.map(order => html`
+            <tr data-record-id="${order.order_id}">
+                <td>${order.order_number}</td>
+                <td>${this.formatCustomerLink(order)}</td>
+                <td>${this.formatDate(order.date_created)}</td>
+                <td>
+                    <span class="status-badge status-${order.status}">
+                        ${this.formatStatus(order.status)}
+                    </span>
+                </td>
+                <td>${order.items}</td>
+                <td>${this.formatCurrency(order.total_order_value)}</td>
+                <td>${order.assigned_to}</td>
+            </tr>
+        `)}`;
+    }
+
+    /**
+     * Orders sorted by the current sort state
+     */
+    getSortedOrders() {
+        if (!this.sortState?.key) return this.orders;
+
+        const { key, direction } = this.sortState;
+        const numericKeys = ['date_created', 'items', 'total_order_value'];
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        const factor = direction === 'descending' ? -1 : 1;
+
+        return [...this.orders].sort((a, b) => {
+            if (numericKeys.includes(key)) {
+                return ((parseFloat(a[key]) || 0) - (parseFloat(b[key]) || 0)) * factor;
+            }
+            return collator.compare(String(a[key] ?? ''), String(b[key] ?? '')) * factor;
+        });
+    }
+
+    /**
+     * Sales orders table columns for CSV / Excel export
+     */
+    getExportConfig() {
+        return {
+            columns: [
+                { key: 'order_number', label: 'Order #' },
+                { key: 'customer_name', label: 'Customer' },
+                { key: 'date_created', label: 'Date', type: 'date' },
+                { key: 'status', label: 'Status', value: order => this.formatStatus(order.status) },
+                { key: 'items', label: 'Items', type: 'number' },
+                { key: 'total_order_value', label: 'Total Value', type: 'number' },
+                { key: 'assigned_to', label: 'Assigned To' }
+            ],
+            lineItems: null
+        };
+    }
+
+    /**
+     * All filtered orders (every page) in the current sort order
+     */
+    getExportRecords() {
+        return this.getSortedOrders();
+    }
+
+    /**
+     * The PDF report lists every filtered order, not just the current page
+     */
+    getReportTables(container) {
+        const tables = super.getReportTables(container);
+        const ordersTable = tables.find(table => table.id === 'salesOrdersTable');
+        if (ordersTable) {
+            const tbody = document.createElement('tbody');
+            tbody.innerHTML = this.generateTableRows(this.getSortedOrders());
+            ordersTable.rows = this.readTableRows(tbody);
+        }
+        return tables;
+    }
+
+    /**
+     * Orders on the current page
+     */
+    getPageOrders() {
+        const start = (this.page - 1) * this.pageSize;
+        return this.getSortedOrders().slice(start, start + this.pageSize);
+    }
+
+    /**
+     * Keep the page within the current orders and go to the page holding a
+     * newly selected order (e.g. a deep-linked record)
+     */
+    syncPage() {
+        if (this.selectedRecordId && this.selectedRecordId !== this.pagedRecordId) {
+            const index = this.getSortedOrders().findIndex(order => String(order.order_id) === this.selectedRecordId);
+            if (index >= 0) {
+                this.page = Math.floor(index / this.pageSize) + 1;
+                this.pagedRecordId = this.selectedRecordId;
+            }
+        }
+        this.page = Math.min(this.page, this.getPageCount());
+    }
+
+    /**
+     * Total number of pages for the current orders
+     */
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.orders.length / this.pageSize));
+    }
+
+    /**
+     * Re-render only the table body, count and pagination (sort and page changes)
+     */
+    renderTable() {
+        const table = this.elements.ordersTable;
+        if (!table) return;
+
+        table.querySelector('tbody').innerHTML = this.generateTableRows(this.getPageOrders());
+        this.applySortState();
+        this.highlightSelectedRow();
+        this.renderPagination();
+    }
+
+    /**
+     * Render the count label and pagination controls
+     */
+    renderPagination() {
+        const total = this.orders.length;
+        const pages = this.getPageCount();
+        const first = total === 0 ? 0 : (this.page - 1) * this.pageSize + 1;
+        const last = Math.min(this.page * this.pageSize, total);
+
+        if (this.elements.ordersCount) {
+            this.elements.ordersCount.textContent = `Showing ${first}–${last} of ${total} orders`;
+        }
+        if (this.elements.pagination) {
+            this.elements.pagination.innerHTML = html`
+                <button type="button" class="btn btn-secondary" data-page="prev" ${this.page <= 1 ? 'disabled' : ''}>‹ Prev</button>
+                <span class="pagination-info">Page ${this.page} of ${pages}</span>
+                <button type="button" class="btn btn-secondary" data-page="next" ${this.page >= pages ? 'disabled' : ''}>Next ›</button>
+            `;
+        }
+    }
+
+    /**
+     * Reflect the sort state on the table headers
+     */
+    applySortState() {
+        const table = this.elements.ordersTable;
+        if (!table) return;
+
+        table.querySelectorAll('thead th[data-sort-key]').forEach(th => {
+            const active = this.sortState?.key === th.getAttribute('data-sort-key');
+            th.setAttribute('aria-sort', active ? this.sortState.direction : 'none');
+        });
+    }
+
     /**
      * Format status for display
      */
@@ -119,12 +374,223 @@ class SalesOrdersView extends BaseView {
         return status.charAt(0).toUpperCase() + status.slice(1);
     }
 
+    /**
+     * Bind DOM elements
+     */
+    bindElements() {
+        this.elements = {
+            filtersForm: document.getElementById('salesOrdersFilters'),
+            trendChart: document.getElementById('orderTrendChart'),
+            statusChart: document.getElementById('orderStatusChart'),
+            assigneeChart: document.getElementById('orderAssigneeChart'),
+            ordersTable: document.getElementById('salesOrdersTable'),
+            ordersCount: document.getElementById('ordersCount'),
+            pagination: document.getElementById('ordersPagination')
+        };
+    }
+
     /**
      * Bind event listeners
      */
     bindEvents() {
-        // Sales orders specific event listeners would go here
+        this.bindComparisonSelect();
+
+        if (this.elements.filtersForm) {
+            this.elements.filtersForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const formData = new FormData(e.target);
+                const filters = Object.fromEntries(formData);
+
+                if (this.onFiltersChange) {
+                    this.onFiltersChange(filters);
+                }
+            });
+        }
+
+        // Table sorting (on the full filtered list, not just the visible page)
+        const table = this.elements.ordersTable;
+        if (table) {
+            table.querySelectorAll('thead th[data-sort-key]').forEach(th => {
+                th.style.cursor = 'pointer';
+                th.addEventListener('click', () => {
+                    const key = th.getAttribute('data-sort-key');
+                    const direction = this.sortState?.key === key && this.sortState.direction === 'ascending'
+                        ? 'descending'
+                        : 'ascending';
+                    this.sortState = { key, direction };
+                    this.page = 1;
+                    this.renderTable();
+
+                    if (this.onSortChange) {
+                        this.onSortChange(this.sortState);
+                    }
+                });
+            });
+
+            this.bindRowSelection(table);
+        }
+
+        if (this.elements.pagination) {
+            this.elements.pagination.addEventListener('click', (e) => {
+                const btn = e.target.closest('button[data-page]');
+                if (!btn || btn.disabled) return;
+                const delta = btn.dataset.page === 'next' ? 1 : -1;
+                this.page = Math.min(this.getPageCount(), Math.max(1, this.page + delta));
+                this.renderTable();
+            });
+        }
+
+        this.renderPagination();
+    }
+
+    /**
+     * Update charts with new data
+     */
+    updateCharts(chartData) {
+        if (!chartData) return;
+
+        this.initTrendChart(chartData.trend);
+        this.initStatusChart(chartData.byStatus);
+        this.initAssigneeChart(chartData.byAssignee);
+        this.pruneCharts();
+    }
+
+    /**
+     * Initialize order trend chart
+     */
+    initTrendChart(trendData) {
+        if (!this.elements.trendChart) return;
+
+        this.renderChart('trend', this.elements.trendChart, {
+            type: 'line',
+            data: {
+                labels: trendData.labels,
+                datasets: [
+                    {
+                        id: 'value',
+                        label: 'Order Value ($)',
+                        data: trendData.values,
+                        borderColor: '#4361ee',
+                        backgroundColor: 'rgba(67, 97, 238, 0.1)',
+                        borderWidth: 3,
+                        fill: true,
+                        tension: 0.4,
+                        yAxisID: 'y'
+                    },
+                    {
+                        id: 'count',
+                        label: 'Order Count',
+                        data: trendData.counts,
+                        borderColor: '#4cc9f0',
+                        backgroundColor: 'rgba(76, 201, 240, 0.1)',
+                        borderWidth: 2,
+                        borderDash: [5, 5],
+                        tension: 0.4,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { grid: { display: false } },
+                    y: {
+                        beginAtZero: true,
+                        position: 'left',
+                        title: { display: true, text: 'Order Value ($)' }
+                    },
+                    y1: {
+                        beginAtZero: true,
+                        position: 'right',
+                        title: { display: true, text: 'Order Count' },
+                        grid: { drawOnChartArea: false }
+                    }
+                },
+                plugins: {
+                    zoom: this.getZoomOptions()
+                }
+            }
+        });
+    }
+
+    /**
+     * Initialize status chart
+     */
+    initStatusChart(statusData) {
+        if (!this.elements.statusChart) return;
+
+        const labels = Object.keys(statusData);
+        this.renderChart('status', this.elements.statusChart, {
+            type: 'doughnut',
+            data: {
+                labels: labels.map(status => this.formatStatus(status)),
+                datasets: [{
+                    data: Object.values(statusData),
+                    backgroundColor: this.generateColors(labels.length),
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { position: 'bottom' } }
+            }
+        });
+    }
+
+    /**
+     * Initialize assignee chart
+     */
+    initAssigneeChart(assigneeData) {
+        if (!this.elements.assigneeChart) return;
+
+        const labels = Object.keys(assigneeData);
+        this.renderChart('assignee', this.elements.assigneeChart, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Order Count',
+                        data: labels.map(name => assigneeData[name].count),
+                        backgroundColor: '#4361ee',
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Order Value ($K)',
+                        data: labels.map(name => assigneeData[name].totalValue / 1000),
+                        backgroundColor: '#4cc9f0',
+                        type: 'line',
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: { beginAtZero: true, title: { display: true, text: 'Order Count' } },
+                    y1: {
+                        beginAtZero: true,
+                        position: 'right',
+                        title: { display: true, text: 'Order Value ($K)' },
+                        grid: { drawOnChartArea: false }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Clean up charts and event listeners
+     */
+    destroy() {
+        Object.values(this.charts).forEach(chart => chart?.destroy?.());
+        this.charts = {};
+        super.destroy();
     }
 }
 
-export default SalesOrdersView;
\ No newline at end of file
+export default SalesOrdersView;
@@ -0,0 +1,46 @@
+/**
+ * SafeHTML escaping with hostile payloads
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SafeHTML from '../js/views/SafeHTML.js';
+
+const { html, raw, escape } = SafeHTML;
+
+test('escape encodes every markup character', () => {
+    assert.equal(escape(`<script>alert("x")</script> & 'y'`),
+        '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;y&#39;');
+    assert.equal(escape(null), '');
+    assert.equal(escape(undefined), '');
+    assert.equal(escape(0), '0');
+});
+
+test('html escapes interpolated element content', () => {
+    const markup = html`<td>${'<img src=x onerror=alert(1)>'}</td>`.toString();
+    assert.equal(markup, '<td>&lt;img src=x onerror=alert(1)&gt;</td>');
+});
+
+test('html keeps attribute-breaking payloads inside the quoted attribute', () => {
+    const markup = html`<tr data-record-id="${'" onmouseover="alert(1)'}"></tr>`.toString();
+    assert.equal(markup, '<tr data-record-id="&quot; onmouseover=&quot;alert(1)"></tr>');
+
+    const single = html`<a title='${"' onclick='alert(1)"}'></a>`.toString();
+    assert.ok(!single.includes("' onclick"));
+});
+
+test('nested templates and arrays are inserted once, not double-escaped', () => {
+    const items = ['<b>', 'a & b'].map(item => html`<li>${item}</li>`);
+    assert.equal(html`<ul>${items}</ul>`.toString(), '<ul><li>&lt;b&gt;</li><li>a &amp; b</li></ul>');
+});
+
+test('null, undefined and false render nothing', () => {
+    assert.equal(html`<p>${null}${undefined}${false}</p>`.toString(), '<p></p>');
+});
+
+test('raw is the only way to insert markup unescaped', () => {
+    assert.equal(html`<div>${raw('<em>ok</em>')}</div>`.toString(), '<div><em>ok</em></div>');
+    assert.equal(raw(raw('<i>')).toString(), '<i>');
+    assert.ok(html`${'<em>ok</em>'}` instanceof SafeHTML);
+});
@@ -0,0 +1,113 @@
+/**
+ * View templates with hostile API data: table rows, detail drawers and
+ * notifications must render payloads as text
+ * Run with: node --test tests/
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import OpportunitiesView from '../js/views/OpportunitiesView.js';
+import SalesOrdersView from '../js/views/SalesOrdersView.js';
+import HelpdeskView from '../js/views/HelpdeskView.js';
+import CustomerDrawerView from '../js/views/CustomerDrawerView.js';
+
+const SCRIPT = '<script>alert("xss")</script>';
+const IMAGE = '<img src=x onerror=alert(1)>';
+const ATTRIBUTE = '" onmouseover="alert(1)" data-x="';
+
+/**
+ * Markup must not contain any of the payloads as live markup
+ */
+function assertInert(markup) {
+    const text = String(markup);
+    assert.ok(!text.includes('<script'), 'unescaped <script>');
+    assert.ok(!text.includes('<img'), 'unescaped <img>');
+    assert.ok(!text.includes('" onmouseover'), 'attribute broken out of its quotes');
+    assert.ok(text.includes('&lt;script&gt;') || text.includes('&lt;img') || text.includes('&quot;'), 'payload missing');
+}
+
+const hostileOpportunity = {
+    opportunity_id: ATTRIBUTE,
+    date_created: Date.now(),
+    customer_name: IMAGE,
+    customer_email: ATTRIBUTE,
+    assigned_to: SCRIPT,
+    status: 'new',
+    amount: 1000,
+    comments: SCRIPT,
+    product_details: [{ name: IMAGE, category: SCRIPT, quantity: 1, unit_price: 10 }]
+};
+
+test('opportunity table rows escape customer, assignee and id', () => {
+    assertInert(new OpportunitiesView().generateTableRows([hostileOpportunity]));
+});
+
+test('opportunity detail drawer escapes comments, line items and customer link', () => {
+    const markup = String(new OpportunitiesView().generateOpportunityDetail(hostileOpportunity));
+    assertInert(markup);
+    assert.ok(markup.includes('&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;'));
+});
+
+test('sales order rows escape customer name and assignee', () => {
+    const rows = new SalesOrdersView().generateTableRows([{
+        order_id: ATTRIBUTE,
+        order_number: SCRIPT,
+        customer_name: IMAGE,
+        date_created: Date.now(),
+        status: 'delivered',
+        items: 1,
+        total_order_value: 10,
+        assigned_to: SCRIPT
+    }]);
+    assertInert(rows);
+});
+
+test('helpdesk ticket rows escape comments, customer and assignee', () => {
+    const markup = new HelpdeskView().generateHTML({
+        tickets: [{
+            ticket_id: ATTRIBUTE,
+            date_created: Date.now(),
+            customer_name: IMAGE,
+            assigned_to: SCRIPT,
+            status: 'open',
+            category: IMAGE,
+            comments: SCRIPT
+        }]
+    });
+    assertInert(markup);
+});
+
+test('customer drawer escapes profile fields and records', () => {
+    const markup = new CustomerDrawerView().generateHTML({
+        customer: { name: SCRIPT, email: IMAGE, phone: ATTRIBUTE, rating: IMAGE, type: SCRIPT },
+        lifetimeOrderValue: 0,
+        openOpportunities: [hostileOpportunity],
+        totalOpportunities: 1,
+        orders: [],
+        tickets: [{ ticket_id: ATTRIBUTE, status: 'open', comments: SCRIPT }]
+    });
+    assertInert(markup);
+});
+
+test('notifications escape the message text', async (t) => {
+    const appended = [];
+    globalThis.document = {
+        addEventListener() {},
+        querySelector: () => null,
+        createElement: () => ({ remove() {} }),
+        body: { appendChild: element => appended.push(element) }
+    };
+    t.after(() => delete globalThis.document);
+    mock.timers.enable({ apis: ['setTimeout'] });
+    t.after(() => mock.timers.reset());
+
+    const { default: CRMApplication } = await import('../js/app.js');
+    CRMApplication.prototype.showNotification.call(
+        { featureFlags: null, getNotificationIcon: () => 'ℹ️' },
+        `Failed to load ${IMAGE} ${SCRIPT} ${ATTRIBUTE}`,
+        'error'
+    );
+
+    assert.equal(appended.length, 1);
+    assertInert(appended[0].innerHTML);
+});